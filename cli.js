@@ -7,12 +7,18 @@ import harvest from './src/harvest.js';
 import describeProject from './src/describe.js';
 import reset from './src/reset.js';
 import upload from './src/upload.js';
+import trace from './src/trace.js';
+import exportContext from './src/export.js';
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import updateNotifier from 'update-notifier';
 import { applyEnvAliases } from './src/utils.js';
+import { parseNormalizationRules } from './src/verify.js';
+import { ADAPTERS, parseAdapterNames } from './src/adapters/index.js';
+import { isValidRevision } from './src/git.js';
+import { PROVIDERS, getProviderEnvAliases, formatProviderNames } from './src/providers/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,26 +33,84 @@ program.showHelpAfterError();
 const tokenEnvName = 'CROWDIN_PERSONAL_TOKEN';
 const baseUrlEnvName = 'CROWDIN_BASE_URL';
 const projectEnvName = 'CROWDIN_PROJECT_ID';
-const openApiEnvName = 'OPENAI_KEY';
-const openAiBaseUrlEnvName = 'OPENAI_BASE_URL';
-const googleVertexProjectEnvName = 'GOOGLE_VERTEX_PROJECT';
-const googleVertexLocationEnvName = 'GOOGLE_VERTEX_LOCATION';
-const googleVertexClientEmailEnvName = 'GOOGLE_VERTEX_CLIENT_EMAIL';
-const googleVertexPrivateKeyEnvName = 'GOOGLE_VERTEX_PRIVATE_KEY';
-const azureResourceNameEnvName = 'AZURE_RESOURCE_NAME';
-const azureApiKeyEnvName = 'AZURE_API_KEY';
-const azureDeploymentNameEnvName = 'AZURE_DEPLOYMENT_NAME';
-const anthropicApiKeyEnvName = 'ANTHROPIC_API_KEY';
-const mistralApiKeyEnvName = 'MISTRAL_API_KEY';
-
-const envAliases = {
-  [openApiEnvName]: ['OPENAI_API_KEY'],
-  [azureResourceNameEnvName]: ['AZURE_OPENAI_API_INSTANCE_NAME'],
-  [azureApiKeyEnvName]: ['AZURE_OPENAI_API_KEY'],
-  [azureDeploymentNameEnvName]: ['AZURE_OPENAI_API_DEPLOYMENT_NAME'],
+
+applyEnvAliases(getProviderEnvAliases());
+
+/**
+ * @param {string} optionName
+ */
+const positiveIntegerParser = optionName => value => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || !Number.isInteger(parsed) || parsed <= 0) {
+    throw new InvalidArgumentError(`Invalid value for --${optionName}: must be a positive integer`);
+  }
+  return parsed;
+};
+
+/**
+ * @param {string} optionName
+ */
+const nonNegativeIntegerParser = optionName => value => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new InvalidArgumentError(`Invalid value for --${optionName}: must be a non-negative integer`);
+  }
+  return parsed;
+};
+
+/**
+ * Parser of a variadic option collecting regular expressions
+ *
+ * @param {string} optionName
+ */
+const regexListParser = optionName => (value, previous) => {
+  try {
+    new RegExp(value);
+  } catch (e) {
+    throw new InvalidArgumentError(`Invalid value for --${optionName}: ${e.message}`);
+  }
+  return [...(previous || []), value];
 };
 
-applyEnvAliases(envAliases);
+const crowdinSourceOption = () =>
+  new Option(
+    '-cs, --crowdinSource <dir>',
+    'directory with a Crowdin project snapshot (project.json, files.json, strings.json) read and updated instead of the Crowdin project, for dry runs and tests. --token and --project are not needed with it. (optional)',
+  );
+
+/**
+ * Checks the mandatory --token and --project options, a command working with a local snapshot (--crowdinSource) does not need them
+ *
+ * @param {Command} command
+ */
+const checkCrowdinCredentials = command => {
+  const options = command.opts();
+  // strings of local resource files are harvested without Crowdin
+  if (options.crowdinSource || options.sourceFiles) return;
+  for (const option of command.options.filter(item => ['token', 'project'].includes(item.attributeName()))) {
+    if (options[option.attributeName()] === undefined) {
+      command.error(`error: required option '${option.flags}' not specified`, { code: 'commander.missingMandatoryOptionValue' });
+    }
+  }
+};
+
+/**
+ * Adds the options of all AI providers to a command
+ *
+ * @param {Command} command
+ * @param {(option: import('./src/providers/index.js').ProviderOption, provider: import('./src/providers/index.js').Provider) => string} describe help text of an option
+ */
+const addProviderOptions = (command, describe) => {
+  for (const provider of PROVIDERS) {
+    for (const option of provider.options) {
+      const cliOption = new Option(option.flags, describe(option, provider));
+      if (option.env) cliOption.env(option.env);
+      if (option.choices) cliOption.choices(option.choices);
+      if (option.default) cliOption.default(option.default);
+      command.addOption(cliOption);
+    }
+  }
+};
 
 program.version(packageJson.version).name('crowdin-context-harvester')
   .description(`CLI tool for adding contextual information for Crowdin strings using AI. 
@@ -59,210 +123,262 @@ The CLI will save the found context to the Crowdin project at the very end of ex
 
 Get started with the CLI by running the ${chalk.green('configure')} command.`);
 
-program
+const configureCommand = program
   .command('configure')
   .description('helps you find argument values for the harvest command')
   .addOption(new Option('-t, --token <token>', 'Crowdin Personal API token (with Project, AI scopes)').env(tokenEnvName))
+  .addOption(new Option('-u, --url <base-url>', 'Crowdin API url (for enterprise https://<org-name>.api.crowdin.com)').env(baseUrlEnvName));
+
+addProviderOptions(configureCommand, option => `${option.description}. Setting this option as an environment variable is recommended.`);
+
+configureCommand.aliases(['init']).action(configureCli);
+
+const harvestCommand = program
+  .command('harvest')
+  .description('find and add contextual information for translatable text in Crowdin project')
+  .addOption(new Option('-t, --token <token>', 'Crowdin Personal API token (with Project and AI scopes granted).').env(tokenEnvName))
   .addOption(new Option('-u, --url <base-url>', 'Crowdin API url (for enterprise https://<org-name>.api.crowdin.com)').env(baseUrlEnvName))
+  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').env(projectEnvName))
+  .addOption(crowdinSourceOption())
+  .hook('preAction', checkCrowdinCredentials)
+  .addOption(new Option('-a, --ai <provider>', `AI provider (${formatProviderNames()}).`).default('openai').makeOptionMandatory());
+
+addProviderOptions(harvestCommand, (option, provider) =>
+  option.required
+    ? `${option.description}. This option is mandatory if "${provider.name}" is chosen as the AI provider.`
+    : `${option.description}. This option is optional when "${provider.name}" is chosen as the AI provider.`,
+);
+
+harvestCommand
   .addOption(
-    new Option('-k, --openAiKey <openai-api-key>', 'OpenAI API key. Setting this option as an environment variable is recommended.').env(
-      openApiEnvName,
+    new Option('-m, --model <model>', 'AI model. Should accept at least 128,000 tokens context window and support tool calls.').default(
+      'gpt-5',
     ),
   )
+  .addOption(new Option('-cp, --promptFile <path>', 'path to a file containing a custom prompt. Use "-" to read from STDIN. (optional)'))
   .addOption(
     new Option(
-      '-ob, --openAiBaseUrl <openai-base-url>',
-      'OpenAI-compatible API base URL (e.g., http://localhost:8000/v1). Setting this option as an environment variable is recommended.',
-    ).env(openAiBaseUrlEnvName),
+      '-rt, --root <path>',
+      'directory the AI is allowed to search and read, the current working directory by default. Files outside of it and files excluded by .gitignore, .harvesterignore and the default excludes (node_modules, dist, lockfiles, etc.) are not accessible.',
+    ),
   )
   .addOption(
     new Option(
-      '-gvp, --googleVertexProject <google-vertext-project-id>',
-      'Google Cloud Project ID. Setting this option as an environment variable is recommended.',
-    ).env(googleVertexProjectEnvName),
+      '-ra, --redactAllow <patterns...>',
+      'regular expressions of values that are never redacted from the code sent to the AI provider, e.g. known public keys or test placeholders. (optional)',
+    ).argParser(regexListParser('redactAllow')),
   )
   .addOption(
     new Option(
-      '-gvl, --googleVertexLocation <google-vertext-location>',
-      'Google Cloud Project location. Setting this option as an environment variable is recommended.',
-    ).env(googleVertexLocationEnvName),
+      '-rd, --redactDeny <patterns...>',
+      'regular expressions of values that are always redacted from the code sent to the AI provider, in addition to the built-in secret patterns. (optional)',
+    ).argParser(regexListParser('redactDeny')),
   )
   .addOption(
     new Option(
-      '-gvce, --googleVertexClientEmail <google-vertext-client-email>',
-      'Google Cloud service account client email. Setting this option as an environment variable is recommended.',
-    ).env(googleVertexClientEmailEnvName),
+      '--no-images',
+      'do not let the AI look at local images (screenshots, snapshots, icons). By default vision-capable models get an image tool.',
+    ),
   )
   .addOption(
-    new Option(
-      '-gvpk, --googleVertexPrivateKey <google-vertext-private-key>',
-      'Google Cloud service account private key. Setting this option as an environment variable is recommended.',
-    ).env(googleVertexPrivateKeyEnvName),
+    new Option('-mis, --maxImageSize <kb>', 'maximum size of an image sent to the AI provider, in kilobytes.')
+      .default(1024)
+      .argParser(positiveIntegerParser('maxImageSize')),
   )
+  .addOption(new Option('-c, --crowdinFiles <pattern>', 'Crowdin file names pattern (valid glob pattern)').default('**/*.*'))
   .addOption(
     new Option(
-      '-azr, --azureResourceName <azure-resource-name>',
-      'MS Azure OpenAI resource name. Setting this option as an environment variable is recommended.',
-    ).env(azureResourceNameEnvName),
+      '-sf, --sourceFiles <pattern>',
+      'glob pattern of local localization files (JSON, YAML, Android XML, .strings, .xcstrings, PO, XLIFF, ARB, RESX) to harvest the strings of instead of the Crowdin strings, relative to the working directory. --token and --project are not needed with it. (optional)',
+    ),
   )
   .addOption(
     new Option(
-      '-azk, --azureApiKey <azure-api-key>',
-      'MS Azure OpenAI API key. Setting this option as an environment variable is recommended.',
-    ).env(azureApiKeyEnvName),
+      '-q, --croql <croql>',
+      'use CroQL to select a specific subset of strings to extract context for (e.g. strings without AI context, strings modified since specific date, etc.). Cannot be set together with the crowdinFiles argument.',
+    ),
   )
   .addOption(
     new Option(
-      '-azd, --azureDeploymentName <azure-resource-name>',
-      'MS Azure OpenAI deployment name. Setting this option as an environment variable is recommended.',
-    ).env(azureDeploymentNameEnvName),
+      '-w, --output <csv | terminal | crowdin | source>',
+      'output destination for extracted context. "terminal" can be considered as a dry run. "crowdin" will save the extracted context to the Crowdin project. "csv" will save the extracted context to a CSV file for review. "source" will write the extracted context to the comments of the --sourceFiles strings.',
+    )
+      .default('csv')
+      .makeOptionMandatory(),
   )
+  .addOption(new Option('-f, --csvFile <path>', 'path to the CSV file to save extracted context to.').default('crowdin-context.csv'))
   .addOption(
     new Option(
-      '-ank, --anthropicApiKey <anthropic-api-key>',
-      'Anthropic API key. Setting this option as an environment variable is recommended.',
-    ).env(anthropicApiKeyEnvName),
+      '-mc, --minConfidence <level>',
+      'minimum confidence of the AI context. Contexts with lower (or unknown) confidence are not saved to the CSV file or Crowdin, they are saved to the review CSV file instead. (optional)',
+    ).choices(['low', 'medium', 'high']),
   )
   .addOption(
     new Option(
-      '-mk, --mistralApiKey <mistral-api-key>',
-      'Mistral API key. Setting this option as an environment variable is recommended.',
-    ).env(mistralApiKeyEnvName),
+      '-rf, --reviewCsvFile <path>',
+      'path to the CSV file to save low confidence and unverified context to (used with --minConfidence and --verify=flag).',
+    ).default('crowdin-context-review.csv'),
   )
-  .aliases(['init'])
-  .action(configureCli);
-
-program
-  .command('harvest')
-  .description('find and add contextual information for translatable text in Crowdin project')
   .addOption(
-    new Option('-t, --token <token>', 'Crowdin Personal API token (with Project and AI scopes granted).')
-      .makeOptionMandatory()
-      .env(tokenEnvName),
+    new Option(
+      '-vf, --verify <mode>',
+      'check that the key or text of every string with AI context is found in local files. "flag" saves unverified contexts to the review CSV file, "discard" drops them.',
+    )
+      .choices(['off', 'flag', 'discard'])
+      .default('off'),
   )
-  .addOption(new Option('-u, --url <base-url>', 'Crowdin API url (for enterprise https://<org-name>.api.crowdin.com)').env(baseUrlEnvName))
-  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').makeOptionMandatory().env(projectEnvName))
   .addOption(
-    new Option('-a, --ai <provider>', 'AI provider ("openai", "google-vertex", "azure", "anthropic" or "mistral").')
-      .default('openai')
-      .makeOptionMandatory(),
+    new Option(
+      '-vn, --verifyNormalize <rules>',
+      'comma separated normalization rules applied to the key and text by --verify: "escapes" also searches for escaped and unescaped variants (\\n, \\", &amp;), "placeholders" also searches for the longest text part between placeholders. Use "none" to search for the exact text only.',
+    )
+      .default('escapes,placeholders')
+      .argParser(value => {
+        try {
+          parseNormalizationRules(value);
+        } catch (e) {
+          throw new InvalidArgumentError(`Invalid value for --verifyNormalize: ${e.message}`);
+        }
+        return value;
+      }),
   )
   .addOption(
-    new Option('-k, --openAiKey <key>', 'OpenAI API key. This option is mandatory if "openai" is chosen as the AI provider.').env(
-      openApiEnvName,
+    new Option(
+      '-ric, --referencesInContext',
+      'add the code references (file:line) the context is based on to the AI context saved to Crowdin. References are always saved to the "references" CSV column.',
     ),
   )
   .addOption(
     new Option(
-      '-ob, --openAiBaseUrl <base-url>',
-      'OpenAI-compatible API base URL (e.g., http://localhost:8000/v1). This option is optional when "openai" is chosen as the AI provider.',
-    ).env(openAiBaseUrlEnvName),
+      '-ap, --append',
+      'use this option to append AI context to existing CSV file. this option is useful to harvest context for strings returned by "check" command.',
+    ),
   )
   .addOption(
     new Option(
-      '-gvp, --googleVertexProject <google-vertext-project-id>',
-      'Google Cloud Project ID. This option is mandatory if "google-vertex" is chosen as the AI provider.',
-    ).env(googleVertexProjectEnvName),
+      '-s, --since <dateOrDuration>',
+      'filter strings added since a date or duration (e.g., "24 hours ago", "7 days ago", "2025-09-01T12:00:00")',
+    ).argParser(value => {
+      const trimmed = String(value).trim();
+      const parsed = chrono.parseDate(trimmed);
+      if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
+        throw new InvalidArgumentError(
+          'Invalid value for --since. Try natural language like "24 hours ago" or an explicit date like "2025-09-01T12:00:00".',
+        );
+      }
+      return value;
+    }),
   )
   .addOption(
     new Option(
-      '-gvl, --googleVertexLocation <google-vertext-location>',
-      'Google Cloud Project location. This option is mandatory if "google-vertex" is chosen as the AI provider.',
-    ).env(googleVertexLocationEnvName),
+      '-gr, --gitRange <range>',
+      'only harvest strings whose usages were added, changed or removed in the git revision range of the working directory (e.g. "main..HEAD" or "v1.2.0..v1.3.0"). Can be combined with --since.',
+    ).argParser(value => {
+      if (!isValidRevision(value)) {
+        throw new InvalidArgumentError('Invalid value for --gitRange. Use a git revision range like "main..HEAD".');
+      }
+      return value;
+    }),
+  )
+  .addOption(
+    new Option('-j, --concurrency <n>', 'concurrency level for per-string extraction').default(10).argParser(value => {
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || !Number.isInteger(parsed) || parsed <= 0) {
+        throw new InvalidArgumentError('Invalid value for --concurrency: must be a positive integer');
+      }
+      return parsed;
+    }),
   )
   .addOption(
     new Option(
-      '-gvce, --googleVertexClientEmail <google-vertext-client-email>',
-      'Google Cloud service account client email. This option is mandatory if "google-vertex" is chosen as the AI provider.',
-    ).env(googleVertexClientEmailEnvName),
+      '-mr, --maxRetries <n>',
+      'how many times an AI or Crowdin request is retried on rate limits, timeouts and server errors. Retries wait with exponential backoff or as long as the provider asks, and the concurrency is reduced while the AI provider is rate limiting.',
+    )
+      .default(5)
+      .argParser(nonNegativeIntegerParser('maxRetries')),
   )
   .addOption(
     new Option(
-      '-gvpk, --googleVertexPrivateKey <google-vertext-private-key>',
-      'Google Cloud service account private key. This option is mandatory if "google-vertex" is chosen as the AI provider.',
-    ).env(googleVertexPrivateKeyEnvName),
+      '-jf, --journal <path>',
+      'path to the checkpoint journal. The outcome of every processed string is appended to it, so an interrupted run can be resumed.',
+    ).default('crowdin-context.journal.jsonl'),
   )
   .addOption(
     new Option(
-      '-azr, --azureResourceName <azure-resource-name>',
-      'MS Azure OpenAI resource name. This option is mandatory if "azure" is chosen as the AI provider.',
-    ).env(azureResourceNameEnvName),
+      '-r, --resume <journal>',
+      'resume an interrupted run from its checkpoint journal. Strings already recorded in the journal are not processed again.',
+    ),
   )
   .addOption(
     new Option(
-      '-azk, --azureApiKey <azure-api-key>',
-      'MS Azure OpenAI API key. This option is mandatory if "azure" is chosen as the AI provider.',
-    ).env(azureApiKeyEnvName),
+      '-td, --traceDir <dir>',
+      'directory to write a transcript of every agent run to, one JSONL file per string (or batch) with the messages, tool calls, tool outputs, tokens and latency. Print or replay a transcript with the trace command. (optional)',
+    ),
   )
   .addOption(
     new Option(
-      '-azd, --azureDeploymentName <azure-resource-name>',
-      'MS Azure OpenAI deployment name. This option is mandatory if "azure" is chosen as the AI provider.',
-    ).env(azureDeploymentNameEnvName),
+      '-cf, --cacheFile <path>',
+      'path to a local cache of harvested contexts. Strings whose text, key and the code files used for their context did not change are not sent to the AI provider again. (optional)',
+    ),
   )
   .addOption(
     new Option(
-      '-ank, --anthropicApiKey <anthropic-api-key>',
-      'Anthropic API key. This option is mandatory if "anthropic" is chosen as the AI provider.',
-    ).env(anthropicApiKeyEnvName),
+      '-mt, --maxTokens <n>',
+      'token budget for the whole run. No new strings are processed once it is exceeded. (optional)',
+    ).argParser(positiveIntegerParser('maxTokens')),
   )
   .addOption(
     new Option(
-      '-mk, --mistralApiKey <mistral-api-key>',
-      'Mistral API key. This option is mandatory if "mistral" is chosen as the AI provider.',
-    ).env(mistralApiKeyEnvName),
+      '-mts, --maxTokensPerString <n>',
+      'token limit for a single string. The AI stops looking for the context of a string once it is exceeded. (optional)',
+    ).argParser(positiveIntegerParser('maxTokensPerString')),
   )
   .addOption(
-    new Option('-m, --model <model>', 'AI model. Should accept at least 128,000 tokens context window and support tool calls.').default(
-      'gpt-5',
+    new Option(
+      '-pl, --plan',
+      'do not call the AI provider, only search local files for every string and print how many strings are likely to get context and the projected token usage and cost.',
     ),
   )
-  .addOption(new Option('-cp, --promptFile <path>', 'path to a file containing a custom prompt. Use "-" to read from STDIN. (optional)'))
-  .addOption(new Option('-c, --crowdinFiles <pattern>', 'Crowdin file names pattern (valid glob pattern)').default('**/*.*'))
+  .addOption(new Option('-su, --skipUnmatched', 'exclude strings whose key or text is not found in local files from the harvest.'))
   .addOption(
     new Option(
-      '-q, --croql <croql>',
-      'use CroQL to select a specific subset of strings to extract context for (e.g. strings without AI context, strings modified since specific date, etc.). Cannot be set together with the crowdinFiles argument.',
+      '--no-preSearch',
+      'do not search local files for the string key and text before calling the AI. By default the found code snippets are added to the prompt, so the AI can start from them.',
     ),
   )
   .addOption(
     new Option(
-      '-w, --output <csv | terminal | crowdin>',
-      'output destination for extracted context. "terminal" can be considered as a dry run. "crowdin" will save the extracted context to the Crowdin project. "csv" will save the extracted context to a CSV file for review.',
+      '-b, --batchSize <n>',
+      'number of strings processed in a single AI run. Strings are grouped by Crowdin file and key prefix, so the AI can reuse the code it reads for related strings.',
     )
-      .default('csv')
-      .makeOptionMandatory(),
+      .default(1)
+      .argParser(positiveIntegerParser('batchSize')),
   )
-  .addOption(new Option('-f, --csvFile <path>', 'path to the CSV file to save extracted context to.').default('crowdin-context.csv'))
   .addOption(
-    new Option(
-      '-ap, --append',
-      'use this option to append AI context to existing CSV file. this option is useful to harvest context for strings returned by "check" command.',
-    ),
+    new Option('-psl, --preSearchLimit <n>', 'maximum number of code snippets added to the prompt by the pre-search.')
+      .default(5)
+      .argParser(positiveIntegerParser('preSearchLimit')),
   )
   .addOption(
     new Option(
-      '-s, --since <dateOrDuration>',
-      'filter strings added since a date or duration (e.g., "24 hours ago", "7 days ago", "2025-09-01T12:00:00")',
-    ).argParser(value => {
-      const trimmed = String(value).trim();
-      const parsed = chrono.parseDate(trimmed);
-      if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
-        throw new InvalidArgumentError(
-          'Invalid value for --since. Try natural language like "24 hours ago" or an explicit date like "2025-09-01T12:00:00".',
-        );
-      }
-      return value;
-    }),
+      '-ss, --screenshots',
+      'find screenshots of the components a context is based on (Storybook snapshots, UI test screenshots, design exports named after the component or saved next to its tests) and save them to the "screenshots" CSV column. Upload them with "upload --screenshots".',
+    ),
   )
   .addOption(
-    new Option('-j, --concurrency <n>', 'concurrency level for per-string extraction').default(10).argParser(value => {
-      const parsed = Number(value);
-      if (!Number.isFinite(parsed) || !Number.isInteger(parsed) || parsed <= 0) {
-        throw new InvalidArgumentError('Invalid value for --concurrency: must be a positive integer');
-      }
-      return parsed;
-    }),
+    new Option(
+      '-ad, --adapters <names>',
+      `comma separated localization frameworks used to build the search patterns of the strings (e.g. R.string.key, t('ns:key')) for the pre-search and the AI: ${ADAPTERS.map(adapter => adapter.name).join(', ')}. "auto" picks them by the Crowdin file type, "none" disables them.`,
+    )
+      .default('auto')
+      .argParser(value => {
+        try {
+          parseAdapterNames(value);
+        } catch (e) {
+          throw new InvalidArgumentError(e.message);
+        }
+        return value;
+      }),
   )
   .aliases(['extract'])
   .addHelpText(
@@ -276,74 +392,90 @@ Examples:
     $ crowdin-context-harvester harvest --project=462 --croql='not (context contains "✨ AI Context")'
     $ crowdin-context-harvester harvest --project=462 --croql="added between '2023-12-06 13:44:14' and '2023-12-07 13:44:14'" --output=terminal
     $ crowdin-context-harvester harvest --project=462 --since="24 hours ago" --output=terminal
+    $ crowdin-context-harvester harvest --project=462 --since="7 days ago" --gitRange="main..HEAD"
     $ crowdin-context-harvester harvest --project=462 --since="2025-09-01T12:00:00" --output=terminal
     $ crowdin-context-harvester harvest --project=462 --ai="openai" --openAiKey="sk-xxx" --openAiBaseUrl="http://localhost:8000/v1"
+    $ crowdin-context-harvester harvest --project=462 --resume="crowdin-context.journal.jsonl"
+    $ crowdin-context-harvester harvest --project=462 --maxTokens=2000000 --maxTokensPerString=50000
+    $ crowdin-context-harvester harvest --project=462 --plan
+    $ crowdin-context-harvester harvest --project=462 --skipUnmatched
+    $ crowdin-context-harvester harvest --project=462 --batchSize=20
+    $ crowdin-context-harvester harvest --project=462 --output=crowdin --minConfidence=high
+    $ crowdin-context-harvester harvest --project=462 --root="./packages/app"
+    $ crowdin-context-harvester harvest --project=462 --redactAllow="^pk_test_" --redactDeny="internal-[0-9a-f]{16}"
+    $ crowdin-context-harvester harvest --project=462 --verify=discard --verifyNormalize="escapes"
+    $ crowdin-context-harvester harvest --project=462 --adapters="i18next,react-intl"
+    $ crowdin-context-harvester harvest --project=462 --screenshots --output=csv
+    $ crowdin-context-harvester harvest --project=462 --since="24 hours ago" --cacheFile=".crowdin-context-cache.json" --output=crowdin
+    $ crowdin-context-harvester harvest --project=462 --traceDir="traces"
+    $ crowdin-context-harvester harvest --sourceFiles="src/locales/en/*.json" --output=csv
+    $ crowdin-context-harvester harvest --sourceFiles="app/src/main/res/values/strings.xml" --output=source
+    $ crowdin-context-harvester harvest --crowdinSource="test/fixtures/crowdin" --ai="mock" --mockFixture="test/fixtures/responses.json" --output=terminal
     `,
   )
   .action(harvest);
 
-program
+const describeCommand = program
   .command('describe')
   .description('generate project description by analyzing local repository with AI')
-  .addOption(
-    new Option('-t, --token <token>', 'Crowdin Personal API token (with Project and AI scopes granted).')
-      .makeOptionMandatory()
-      .env(tokenEnvName),
-  )
+  .addOption(new Option('-t, --token <token>', 'Crowdin Personal API token (with Project and AI scopes granted).').env(tokenEnvName))
   .addOption(new Option('-u, --url <base-url>', 'Crowdin API url (for enterprise https://<org-name>.api.crowdin.com)').env(baseUrlEnvName))
-  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').makeOptionMandatory().env(projectEnvName))
-  .addOption(
-    new Option('-a, --ai <provider>', 'AI provider ("openai", "google-vertex", "azure", "anthropic" or "mistral").')
-      .default('openai')
-      .makeOptionMandatory(),
-  )
-  .addOption(new Option('-k, --openAiKey <key>', 'OpenAI API key (required for ai=openai).').env(openApiEnvName))
+  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').env(projectEnvName))
+  .addOption(crowdinSourceOption())
+  .hook('preAction', checkCrowdinCredentials)
+  .addOption(new Option('-a, --ai <provider>', `AI provider (${formatProviderNames()}).`).default('openai').makeOptionMandatory());
+
+addProviderOptions(describeCommand, (option, provider) =>
+  option.required
+    ? `${option.description} (required for ai=${provider.name}).`
+    : `${option.description}. Optional for ai=${provider.name}.`,
+);
+
+describeCommand
+  .addOption(new Option('-m, --model <model>', 'AI model. Should accept large context and support tool calls.').default('gpt-5'))
+  .addOption(new Option('-cp, --promptFile <path>', 'path to a file containing a custom prompt. Use "-" to read from STDIN. (optional)'))
   .addOption(
     new Option(
-      '-ob, --openAiBaseUrl <base-url>',
-      'OpenAI-compatible API base URL (e.g., http://localhost:8000/v1). Optional for ai=openai.',
-    ).env(openAiBaseUrlEnvName),
-  )
-  .addOption(
-    new Option('-gvp, --googleVertexProject <google-vertext-project-id>', 'Google Cloud Project ID (required for ai=google-vertex).').env(
-      googleVertexProjectEnvName,
+      '-rt, --root <path>',
+      'directory the AI is allowed to search and read, the current working directory by default. Files outside of it and files excluded by .gitignore, .harvesterignore and the default excludes (node_modules, dist, lockfiles, etc.) are not accessible.',
     ),
   )
   .addOption(
     new Option(
-      '-gvl, --googleVertexLocation <google-vertext-location>',
-      'Google Cloud Project location (required for ai=google-vertex).',
-    ).env(googleVertexLocationEnvName),
+      '-ra, --redactAllow <patterns...>',
+      'regular expressions of values that are never redacted from the code sent to the AI provider, e.g. known public keys or test placeholders. (optional)',
+    ).argParser(regexListParser('redactAllow')),
   )
   .addOption(
     new Option(
-      '-gvce, --googleVertexClientEmail <google-vertext-client-email>',
-      'Google Cloud service account client email (required for ai=google-vertex).',
-    ).env(googleVertexClientEmailEnvName),
+      '-rd, --redactDeny <patterns...>',
+      'regular expressions of values that are always redacted from the code sent to the AI provider, in addition to the built-in secret patterns. (optional)',
+    ).argParser(regexListParser('redactDeny')),
   )
   .addOption(
     new Option(
-      '-gvpk, --googleVertexPrivateKey <google-vertext-private-key>',
-      'Google Cloud service account private key (required for ai=google-vertex).',
-    ).env(googleVertexPrivateKeyEnvName),
+      '--no-images',
+      'do not let the AI look at local images (screenshots, snapshots, icons). By default vision-capable models get an image tool.',
+    ),
   )
   .addOption(
-    new Option('-azr, --azureResourceName <azure-resource-name>', 'MS Azure OpenAI resource name (required for ai=azure).').env(
-      azureResourceNameEnvName,
-    ),
+    new Option('-mis, --maxImageSize <kb>', 'maximum size of an image sent to the AI provider, in kilobytes.')
+      .default(1024)
+      .argParser(positiveIntegerParser('maxImageSize')),
   )
-  .addOption(new Option('-azk, --azureApiKey <azure-api-key>', 'MS Azure OpenAI API key (required for ai=azure).').env(azureApiKeyEnvName))
   .addOption(
-    new Option('-azd, --azureDeploymentName <azure-resource-name>', 'MS Azure OpenAI deployment name (required for ai=azure).').env(
-      azureDeploymentNameEnvName,
+    new Option('-mt, --maxTokens <n>', 'token limit for generating the description. (optional)').argParser(
+      positiveIntegerParser('maxTokens'),
     ),
   )
   .addOption(
-    new Option('-ank, --anthropicApiKey <anthropic-api-key>', 'Anthropic API key (required for ai=anthropic).').env(anthropicApiKeyEnvName),
+    new Option(
+      '-mr, --maxRetries <n>',
+      'how many times an AI or Crowdin request is retried on rate limits, timeouts and server errors. Retries wait with exponential backoff or as long as the provider asks.',
+    )
+      .default(5)
+      .argParser(nonNegativeIntegerParser('maxRetries')),
   )
-  .addOption(new Option('-mk, --mistralApiKey <mistral-api-key>', 'Mistral API key (required for ai=mistral).').env(mistralApiKeyEnvName))
-  .addOption(new Option('-m, --model <model>', 'AI model. Should accept large context and support tool calls.').default('gpt-5'))
-  .addOption(new Option('-cp, --promptFile <path>', 'path to a file containing a custom prompt. Use "-" to read from STDIN. (optional)'))
   .addOption(
     new Option('-w, --output <terminal | crowdin>', 'output destination for project description.')
       .default('terminal')
@@ -362,15 +494,69 @@ Examples:
   )
   .action(describeProject);
 
+const traceCommand = program
+  .command('trace')
+  .description('print an agent transcript written with --traceDir, or replay its recorded tool outputs with another prompt or model')
+  .argument('<transcript>', 'path to the transcript, or a string ID looked up in --traceDir')
+  .addOption(new Option('-td, --traceDir <dir>', 'directory the transcripts were written to (optional)'))
+  .addOption(new Option('--full', 'print the messages and tool outputs without shortening them'))
+  .addOption(
+    new Option(
+      '--replay',
+      'run the agent again with the recorded tool outputs instead of the local files. Tool calls the recorded run did not make get no output.',
+    ),
+  )
+  .addOption(new Option('-a, --ai <provider>', `AI provider of the replay (${formatProviderNames()}), the recorded one by default.`));
+
+addProviderOptions(traceCommand, option => `${option.description}. Used with --replay.`);
+
+traceCommand
+  .addOption(new Option('-m, --model <model>', 'AI model of the replay, the recorded one by default.'))
+  .addOption(
+    new Option(
+      '-cp, --promptFile <path>',
+      'path to a file containing a custom prompt for the replay, rendered with the recorded prompt variables. Use "-" to read from STDIN. (optional)',
+    ),
+  )
+  .addOption(
+    new Option('-mr, --maxRetries <n>', 'how many times an AI request of the replay is retried on rate limits, timeouts and server errors.')
+      .default(5)
+      .argParser(nonNegativeIntegerParser('maxRetries')),
+  )
+  .addHelpText(
+    'after',
+    `
+Examples:
+    $ crowdin-context-harvester trace traces/1234.jsonl
+    $ crowdin-context-harvester trace 1234 --traceDir="traces" --full
+    $ crowdin-context-harvester trace traces/1234.jsonl --replay --model="gpt-5-mini"
+    $ crowdin-context-harvester trace traces/1234.jsonl --replay --promptFile="prompt.txt"`,
+  )
+  .action(trace);
+
 program
   .command('upload')
   .description('upload the reviewed context to Crowdin project')
-  .addOption(new Option('-t, --token <token>', 'Crowdin Personal API token (with Project scope)').makeOptionMandatory().env(tokenEnvName))
+  .addOption(new Option('-t, --token <token>', 'Crowdin Personal API token (with Project scope)').env(tokenEnvName))
   .addOption(new Option('-u, --url <base-url>', 'Crowdin API url (for enterprise https://<org-name>.api.crowdin.com)').env(baseUrlEnvName))
-  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').makeOptionMandatory().env(projectEnvName))
+  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').env(projectEnvName))
+  .addOption(crowdinSourceOption())
+  .hook('preAction', checkCrowdinCredentials)
   .addOption(
     new Option('-f, --csvFile <path>', 'path to the CSV file with reviewed context').default('crowdin-context.csv').makeOptionMandatory(),
   )
+  .addOption(
+    new Option(
+      '-ss, --screenshots',
+      'also upload the images of the "screenshots" CSV column as Crowdin screenshots tagged with their strings.',
+    ),
+  )
+  .addOption(
+    new Option(
+      '-rt, --root <path>',
+      'directory the screenshot paths are relative to, the directory harvest was run in. The current working directory by default.',
+    ),
+  )
   .aliases(['add', 'sync'])
   .addHelpText(
     'after',
@@ -379,16 +565,46 @@ It's recommended to configure your Crowdin and AI provider credentials in the en
 
 Examples:
     $ crowdin-context-harvester upload --project=462
-    $ crowdin-context-harvester upload --project=462 --csvFile "crowdin-context.csv"`,
+    $ crowdin-context-harvester upload --project=462 --csvFile "crowdin-context.csv"
+    $ crowdin-context-harvester upload --project=462 --screenshots`,
   )
   .action(upload);
 
+program
+  .command('export')
+  .description('write the reviewed context to the comments of the strings in local localization files')
+  .addOption(
+    new Option('-f, --csvFile <path>', 'path to the CSV file with reviewed context').default('crowdin-context.csv').makeOptionMandatory(),
+  )
+  .addOption(
+    new Option(
+      '-sf, --sourceFiles <pattern>',
+      'glob pattern of the local localization files to write the context to (Android XML, .strings, .xcstrings, PO, XLIFF, ARB, RESX), relative to the working directory.',
+    ).makeOptionMandatory(),
+  )
+  .addOption(
+    new Option(
+      '-rt, --root <path>',
+      'working directory the --sourceFiles pattern is relative to. The current working directory by default.',
+    ),
+  )
+  .addHelpText(
+    'after',
+    `
+Examples:
+    $ crowdin-context-harvester export --sourceFiles="app/src/main/res/values/strings.xml"
+    $ crowdin-context-harvester export --csvFile="crowdin-context.csv" --sourceFiles="locales/*.xliff"`,
+  )
+  .action(exportContext);
+
 program
   .command('reset')
   .description('remove previously written AI context from Crowdin project')
-  .addOption(new Option('-t, --token <token>', 'Crowdin Personal API token (with Project scope)').makeOptionMandatory().env(tokenEnvName))
+  .addOption(new Option('-t, --token <token>', 'Crowdin Personal API token (with Project scope)').env(tokenEnvName))
   .addOption(new Option('-u, --url <base-url>', 'Crowdin API url (for enterprise https://<org-name>.api.crowdin.com)').env(baseUrlEnvName))
-  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').makeOptionMandatory().env(projectEnvName))
+  .addOption(new Option('-p, --project <projectId>', 'Crowdin project ID (e.g., 123456)').env(projectEnvName))
+  .addOption(crowdinSourceOption())
+  .hook('preAction', checkCrowdinCredentials)
   .addOption(new Option('-c, --crowdinFiles <pattern>', 'Crowdin file names pattern (valid glob pattern)').default('**/*.*'))
   .aliases(['remove', 'clean', 'delete'])
   .addHelpText(
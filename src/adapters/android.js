@@ -0,0 +1,20 @@
+// @ts-check
+import { escapeRegex, regexPattern } from './patterns.js';
+
+/** @type {import('./index.js').Adapter} */
+export const androidAdapter = {
+  name: 'android',
+  title: 'Android resources',
+  fileTypes: ['android'],
+  filePattern: /(^|\/)values[^/]*\/[^/]+\.xml$/,
+
+  getPatterns(string) {
+    if (!string.identifier) return [];
+    // string arrays are imported as name[0], name[1], ...
+    const name = escapeRegex(String(string.identifier).replace(/\[\d+\]$/, ''));
+    return [
+      regexPattern(`R\\.(string|plurals|array)\\.${name}\\b`, 'resource reference in Kotlin or Java code, e.g. getString(R.string.name)'),
+      regexPattern(`@(string|plurals|array)/${name}\\b`, 'resource reference in XML layouts and other resources'),
+    ];
+  },
+};
@@ -0,0 +1,24 @@
+// @ts-check
+import { escapeRegex, regexPattern } from './patterns.js';
+
+/** @type {import('./index.js').Adapter} */
+export const gettextAdapter = {
+  name: 'gettext',
+  title: 'gettext',
+  fileTypes: ['gettext'],
+  filePattern: /\.pot?$/,
+
+  getPatterns(string) {
+    const text = typeof string.text === 'string' ? string.text.split(/\r?\n/)[0] : '';
+    if (!text) return [];
+    const escaped = escapeRegex(text);
+    return [
+      regexPattern(
+        // the optional first argument is the domain or the context of dgettext, pgettext etc.
+        `\\b(gettext|ngettext|pgettext|npgettext|dgettext|dngettext|gettext_lazy|pgettext_lazy|_|N_|i18n|tr)\\(\\s*(['"][^'"]*['"]\\s*,\\s*)?['"]${escaped}`,
+        'text passed to a gettext function, e.g. _("text") or pgettext("context", "text")',
+      ),
+      regexPattern(`\\{%-?\\s*(trans|translate|blocktrans)\\s+['"]?${escaped}`, 'text in a Django or Jinja template tag'),
+    ];
+  },
+};
@@ -0,0 +1,58 @@
+// @ts-check
+import path from 'path';
+import { quoted, regexPattern } from './patterns.js';
+
+// plural and context suffixes added to the base key, e.g. item_one, item_other, friend_male
+const KEY_SUFFIX = /_(zero|one|two|few|many|other|plural|ordinal_(zero|one|two|few|many|other)|\d+)$/;
+const LOCALE_NAME = /^[a-z]{2,3}([-_][A-Za-z]{2,4})?$/;
+
+/**
+ * The namespace is the resource file name, unless the file is named after the locale (e.g. en.json)
+ *
+ * @param {string} [filePath]
+ */
+function getNamespace(filePath) {
+  if (!filePath) return null;
+  const name = path.basename(filePath, path.extname(filePath));
+  return LOCALE_NAME.test(name) ? null : name;
+}
+
+/** @type {import('./index.js').Adapter} */
+export const i18nextAdapter = {
+  name: 'i18next',
+  title: 'i18next',
+  fileTypes: ['i18next_json', 'json', 'nested_json'],
+  filePattern: /\.json$/,
+
+  getPatterns(string) {
+    if (!string.identifier) return [];
+    const fullKey = String(string.identifier);
+    let key = fullKey.replace(KEY_SUFFIX, '');
+    let namespace = getNamespace(string.filePath);
+    // the key may include the namespace
+    if (key.includes(':')) {
+      [namespace, key] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+    }
+
+    const patterns = [regexPattern(quoted(key), 'key passed to t(), i18nKey or <Trans>')];
+    if (key !== fullKey && !fullKey.includes(':')) {
+      patterns.push(regexPattern(quoted(fullKey), 'key with the plural or context suffix'));
+    }
+    if (namespace) {
+      patterns.push(regexPattern(quoted(`${namespace}:${key}`), `key with the "${namespace}" namespace`));
+    }
+
+    // with useTranslation(ns, { keyPrefix }) only the rest of a nested key path is passed to t()
+    const segments = key.split('.');
+    for (let i = 1; i < segments.length - 1; i++) {
+      const prefix = segments.slice(0, i).join('.');
+      patterns.push(
+        regexPattern(
+          quoted(segments.slice(i).join('.')),
+          `rest of the key path when t() comes from useTranslation with keyPrefix "${prefix}"`,
+        ),
+      );
+    }
+    return patterns;
+  },
+};
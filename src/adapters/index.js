@@ -0,0 +1,98 @@
+// @ts-check
+import { androidAdapter } from './android.js';
+import { iosAdapter } from './ios.js';
+import { i18nextAdapter } from './i18next.js';
+import { reactIntlAdapter } from './react-intl.js';
+import { wordpressAdapter } from './wordpress.js';
+import { gettextAdapter } from './gettext.js';
+
+/**
+ * Localization framework adapter, knows how the code of a stack references the strings of its resource files
+ *
+ * @typedef {object} Adapter
+ * @property {string} name used in the --adapters option
+ * @property {string} title
+ * @property {string[]} fileTypes Crowdin file types the framework uses
+ * @property {RegExp} filePattern matches the paths of the resource files, used when the file type is unknown
+ * @property {(string: object) => import('./patterns.js').SearchPattern[]} getPatterns search patterns for a Crowdin
+ * string annotated with filePath and fileType
+ */
+
+/** @type {Adapter[]} */
+const ADAPTERS = [androidAdapter, iosAdapter, i18nextAdapter, reactIntlAdapter, wordpressAdapter, gettextAdapter];
+
+/**
+ * Parses the --adapters option
+ *
+ * @param {string} value comma separated adapter names, "auto" or "none"
+ * @returns {string[] | null} adapter names, null to detect the adapters by the file of each string
+ */
+function parseAdapterNames(value) {
+  const names = value
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  if (names.length === 0 || names.includes('auto')) return null;
+  if (names.includes('none')) return [];
+
+  const unknown = names.filter(name => !ADAPTERS.some(adapter => adapter.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown adapters: ${unknown.join(', ')}. Available: auto, none, ${ADAPTERS.map(adapter => adapter.name).join(', ')}`);
+  }
+  return names;
+}
+
+/**
+ * @param {object} param0
+ * @param {object} param0.string Crowdin string annotated with filePath and fileType
+ * @param {string[] | null} [param0.names] adapters to use, null to detect them by the file type or path of the string
+ * @returns {Adapter[]}
+ */
+function getAdapters({ string, names = null }) {
+  if (names) {
+    return ADAPTERS.filter(adapter => names.includes(adapter.name));
+  }
+  if (string.fileType && string.fileType !== 'auto') {
+    return ADAPTERS.filter(adapter => adapter.fileTypes.includes(string.fileType));
+  }
+  if (string.filePath) {
+    return ADAPTERS.filter(adapter => adapter.filePattern.test(string.filePath));
+  }
+  return [];
+}
+
+/**
+ * Search patterns of all adapters matching the string
+ *
+ * @param {object} string Crowdin string annotated with filePath and fileType
+ * @param {string[] | null} [names] adapters to use, null to detect them
+ * @returns {Array<import('./patterns.js').SearchPattern & { adapter: string }>}
+ */
+function getAdapterPatterns(string, names = null) {
+  const patterns = new Map();
+  for (const adapter of getAdapters({ string, names })) {
+    for (const pattern of adapter.getPatterns(string)) {
+      if (!patterns.has(pattern.term)) {
+        patterns.set(pattern.term, { ...pattern, adapter: adapter.name });
+      }
+    }
+  }
+  return [...patterns.values()];
+}
+
+/**
+ * Prompt section listing the search patterns of the string
+ *
+ * @param {ReturnType<typeof getAdapterPatterns>} patterns
+ * @returns {string}
+ */
+function formatAdapterPatterns(patterns) {
+  if (patterns.length === 0) return '';
+  // no backticks around the terms, they often contain one
+  const lines = patterns.map(
+    pattern => `- ${pattern.regex ? 'regex' : 'text'} ${pattern.term} (${pattern.adapter}: ${pattern.description})`,
+  );
+  return `\n\nThe code likely references this string in one of these ways, use the patterns with the grep tool:\n${lines.join('\n')}`;
+}
+
+export { ADAPTERS, parseAdapterNames, getAdapters, getAdapterPatterns, formatAdapterPatterns };
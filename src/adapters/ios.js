@@ -0,0 +1,24 @@
+// @ts-check
+import { escapeRegex, literalPattern, regexPattern } from './patterns.js';
+
+/** @type {import('./index.js').Adapter} */
+export const iosAdapter = {
+  name: 'ios',
+  title: 'iOS and macOS strings',
+  fileTypes: ['macosx', 'stringsdict', 'xcstrings'],
+  filePattern: /\.(strings|stringsdict|xcstrings)$/,
+
+  getPatterns(string) {
+    if (!string.identifier) return [];
+    const key = String(string.identifier);
+    const escaped = escapeRegex(key.replace(/"/g, '\\"'));
+    return [
+      regexPattern(
+        `(NSLocalizedString|String\\(localized:|LocalizedStringKey|LocalizedStringResource|Text|Button|Label)\\(?\\s*"${escaped}"`,
+        'localized string lookup in Swift or Objective-C code, e.g. NSLocalizedString("key", comment: "") or Text("key")',
+      ),
+      literalPattern(`"${key}".localized`, 'String extension lookup'),
+      literalPattern(`@"${key}"`, 'Objective-C string literal'),
+    ];
+  },
+};
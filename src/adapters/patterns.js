@@ -0,0 +1,46 @@
+// @ts-check
+
+/**
+ * @typedef {object} SearchPattern
+ * @property {string} term literal text or regular expression (ripgrep and JS compatible)
+ * @property {boolean} regex whether the term is a regular expression
+ * @property {string} description how the string is referenced, shown to the AI
+ */
+
+/**
+ * Escapes the regular expression meta characters, the result is valid in ripgrep and JS regular expressions
+ *
+ * @param {string} value
+ */
+function escapeRegex(value) {
+  return value.replace(/[\\.+*?()|[\]{}^$#&\-~]/g, '\\$&');
+}
+
+/**
+ * Regular expression matching the value in single, double or back quotes
+ *
+ * @param {string} value
+ */
+function quoted(value) {
+  return `['"\`]${escapeRegex(value)}['"\`]`;
+}
+
+/**
+ * @param {string} term
+ * @param {string} description
+ * @returns {SearchPattern}
+ */
+function regexPattern(term, description) {
+  return { term, regex: true, description };
+}
+
+/**
+ * @param {string} term
+ * @param {string} description
+ * @returns {SearchPattern}
+ */
+function literalPattern(term, description) {
+  return { term, regex: false, description };
+}
+
+export { escapeRegex, quoted, regexPattern, literalPattern };
@@ -0,0 +1,21 @@
+// @ts-check
+import { escapeRegex, regexPattern } from './patterns.js';
+
+/** @type {import('./index.js').Adapter} */
+export const reactIntlAdapter = {
+  name: 'react-intl',
+  title: 'react-intl (FormatJS)',
+  fileTypes: ['json'],
+  filePattern: /\.json$/,
+
+  getPatterns(string) {
+    if (!string.identifier) return [];
+    const id = escapeRegex(String(string.identifier));
+    return [
+      regexPattern(
+        `id\\s*[:=]\\s*\\{?\\s*['"\`]${id}['"\`]`,
+        'message id in <FormattedMessage id="..."/>, formatMessage({ id: "..." }) or defineMessages',
+      ),
+    ];
+  },
+};
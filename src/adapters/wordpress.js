@@ -0,0 +1,38 @@
+// @ts-check
+import { escapeRegex, regexPattern } from './patterns.js';
+
+const FUNCTIONS = [
+  '__',
+  '_e',
+  '_x',
+  '_ex',
+  '_n',
+  '_nx',
+  '_n_noop',
+  '_nx_noop',
+  'esc_html__',
+  'esc_html_e',
+  'esc_html_x',
+  'esc_attr__',
+  'esc_attr_e',
+  'esc_attr_x',
+];
+
+/** @type {import('./index.js').Adapter} */
+export const wordpressAdapter = {
+  name: 'wordpress',
+  title: 'WordPress',
+  fileTypes: ['gettext'],
+  filePattern: /\.pot?$/,
+
+  getPatterns(string) {
+    const text = typeof string.text === 'string' ? string.text.split(/\r?\n/)[0] : '';
+    if (!text) return [];
+    return [
+      regexPattern(
+        `\\b(${FUNCTIONS.join('|')})\\(\\s*['"]${escapeRegex(text)}`,
+        'text passed to a WordPress translation function in PHP or JS, e.g. __( "text", "domain" )',
+      ),
+    ];
+  },
+};
@@ -0,0 +1,118 @@
+// @ts-check
+import { HumanMessage, ToolMessage, isToolMessage } from '@langchain/core/messages';
+
+// images are sent as base64, providers limit the request size and bill images by their pixels
+const DEFAULT_MAX_IMAGE_KB = 1024;
+// older images are replaced with a note before every model call, so a long run does not resend all of them
+const MAX_IMAGES_IN_CONTEXT = 4;
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+/**
+ * @param {object} block message content block
+ */
+function isImageBlock(block) {
+  return block?.type === 'image_url';
+}
+
+/**
+ * @param {object} message
+ */
+function hasImages(message) {
+  return isToolMessage(message) && Array.isArray(message.content) && message.content.some(isImageBlock);
+}
+
+/**
+ * @param {object} message tool message with image blocks
+ * @param {(block: object) => object} mapImage
+ */
+function mapImageBlocks(message, mapImage) {
+  return new ToolMessage({
+    content: message.content.map(block => (isImageBlock(block) ? mapImage(block) : block)),
+    tool_call_id: message.tool_call_id,
+    name: message.name,
+    status: message.status,
+  });
+}
+
+/**
+ * Tool message with the text blocks joined, some providers (e.g. Ollama) accept string tool results only
+ *
+ * @param {object} message tool message with text blocks
+ */
+function toTextMessage(message) {
+  return new ToolMessage({
+    content: message.content.map(block => block.text ?? '').join('\n'),
+    tool_call_id: message.tool_call_id,
+    name: message.name,
+    status: message.status,
+  });
+}
+
+/**
+ * Creates the pre-model hook of the agent preparing the images returned by the image tool for the provider.
+ * Only the latest images are sent. Providers accepting images in tool results get them there, for the others
+ * the images are moved to a user message following the tool results.
+ *
+ * @param {object} param0
+ * @param {boolean} param0.imagesInToolResults
+ * @param {number} [param0.maxImages]
+ * @returns {(state: { messages: Array<object> }) => { llmInputMessages: Array<object> }}
+ */
+function createImagesHook({ imagesInToolResults, maxImages = MAX_IMAGES_IN_CONTEXT }) {
+  return state => {
+    let remaining = maxImages;
+    // walk from the end, so the latest images are kept
+    const messages = [...state.messages].reverse().map(message => {
+      if (!hasImages(message)) return message;
+      return mapImageBlocks(message, block => {
+        if (remaining > 0) {
+          remaining--;
+          return block;
+        }
+        return { type: 'text', text: '[image omitted, call the image tool again to see it]' };
+      });
+    });
+    messages.reverse();
+
+    if (imagesInToolResults) {
+      return { llmInputMessages: messages };
+    }
+
+    const llmInputMessages = [];
+    /** @type {object[]} */
+    let pendingImages = [];
+    for (const message of messages) {
+      if (pendingImages.length > 0 && !isToolMessage(message)) {
+        llmInputMessages.push(
+          new HumanMessage({ content: [{ type: 'text', text: 'Images returned by the image tool:' }, ...pendingImages] }),
+        );
+        pendingImages = [];
+      }
+      if (hasImages(message)) {
+        pendingImages.push(...message.content.filter(isImageBlock));
+        llmInputMessages.push(
+          toTextMessage(mapImageBlocks(message, () => ({ type: 'text', text: '[the image follows in the next message]' }))),
+        );
+      } else if (isToolMessage(message) && Array.isArray(message.content)) {
+        llmInputMessages.push(toTextMessage(message));
+      } else {
+        llmInputMessages.push(message);
+      }
+    }
+    if (pendingImages.length > 0) {
+      llmInputMessages.push(
+        new HumanMessage({ content: [{ type: 'text', text: 'Images returned by the image tool:' }, ...pendingImages] }),
+      );
+    }
+    return { llmInputMessages };
+  };
+}
+
+export { DEFAULT_MAX_IMAGE_KB, IMAGE_MIME_TYPES, createImagesHook };
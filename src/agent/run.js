@@ -0,0 +1,50 @@
+// @ts-check
+
+/**
+ * Sums the token usage reported by the model for every message
+ *
+ * @param {Array<object>} messages
+ * @returns {{ inputTokens: number, outputTokens: number, totalTokens: number }}
+ */
+export function getUsage(messages) {
+  const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  for (const message of messages) {
+    usage.inputTokens += message.usage_metadata?.input_tokens ?? 0;
+    usage.outputTokens += message.usage_metadata?.output_tokens ?? 0;
+    usage.totalTokens += message.usage_metadata?.total_tokens ?? 0;
+  }
+  return usage;
+}
+
+/**
+ * Runs the agent loop step by step, so it can be stopped as soon as it spends more tokens than allowed
+ *
+ * @param {object} param0
+ * @param {object} param0.agent
+ * @param {object} param0.prompt
+ * @param {number} param0.recursionLimit
+ * @param {(tokensUsed: number) => boolean} [param0.isOverBudget] called after every step with the tokens used so far
+ * @param {object} [param0.configurable] values passed to the tools in their config
+ * @param {(messages: Array<object>, elapsedMs: number) => void} [param0.onMessages] called with the messages added by every step
+ *   and the time the step took
+ * @returns {Promise<{ messages: Array<object>, usage: ReturnType<typeof getUsage>, aborted: boolean }>}
+ */
+export async function runAgent({ agent, prompt, recursionLimit, isOverBudget, configurable, onMessages }) {
+  let messages = [];
+  let usage = getUsage(messages);
+  let stepStartedAt = Date.now();
+
+  const stream = await agent.stream(prompt, { recursionLimit, streamMode: 'values', configurable });
+  for await (const state of stream) {
+    onMessages?.(state.messages.slice(messages.length), Date.now() - stepStartedAt);
+    stepStartedAt = Date.now();
+    messages = state.messages;
+    usage = getUsage(messages);
+    if (isOverBudget?.(usage.totalTokens)) {
+      // leaving the loop cancels the graph run
+      return { messages, usage, aborted: true };
+    }
+  }
+
+  return { messages, usage, aborted: false };
+}
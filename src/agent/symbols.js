@@ -0,0 +1,409 @@
+// @ts-check
+import path from 'path';
+import { parse } from '@babel/parser';
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const PYTHON_EXTENSIONS = ['.py'];
+const BRACE_EXTENSIONS = ['.kt', '.kts', '.swift'];
+
+// kinds of symbols a line of code can be inside of
+const SCOPE_KINDS = ['function', 'component', 'hook', 'method', 'class'];
+
+/**
+ * @typedef {object} CodeSymbol
+ * @property {string} name
+ * @property {string} kind function, component, hook, method, class, interface, type, enum or object
+ * @property {number} startLine
+ * @property {number} endLine
+ * @property {CodeSymbol[]} children
+ */
+
+/**
+ * @param {string} file
+ */
+function getLanguage(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (JS_EXTENSIONS.includes(extension)) return 'js';
+  if (PYTHON_EXTENSIONS.includes(extension)) return 'python';
+  if (BRACE_EXTENSIONS.includes(extension)) return extension === '.swift' ? 'swift' : 'kotlin';
+  return null;
+}
+
+/**
+ * @param {string} file
+ */
+function isSupportedFile(file) {
+  return getLanguage(file) !== null;
+}
+
+/**
+ * @param {string} code
+ * @param {string} file
+ */
+function parseJs(code, file) {
+  const extension = path.extname(file).toLowerCase();
+  const isTypeScript = extension.startsWith('.ts') || extension.startsWith('.mt') || extension.startsWith('.ct');
+  /** @type {Array<any>} */
+  const plugins = isTypeScript ? ['typescript'] : ['jsx', 'flow'];
+  if (extension === '.tsx') plugins.push('jsx');
+  plugins.push('decorators-legacy');
+
+  return parse(code, { sourceType: 'unambiguous', errorRecovery: true, plugins });
+}
+
+/**
+ * Calls the visitor for every AST node, the value returned by the visitor is passed to the visitor of the child nodes
+ *
+ * @param {any} node
+ * @param {(node: any, parent: any) => any} visitor
+ * @param {any} parent
+ */
+function walk(node, visitor, parent) {
+  if (!node || typeof node.type !== 'string') return;
+  const next = visitor(node, parent);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visitor, next));
+    } else if (value && typeof value === 'object') {
+      walk(value, visitor, next);
+    }
+  }
+}
+
+const FUNCTION_TYPES = ['ArrowFunctionExpression', 'FunctionExpression'];
+
+/**
+ * Returns the function node a variable or property is initialized with, also through wrappers like memo(forwardRef(() => ...))
+ *
+ * @param {any} node
+ * @returns {any}
+ */
+function unwrapFunction(node) {
+  if (!node) return null;
+  if (FUNCTION_TYPES.includes(node.type)) return node;
+  if (node.type === 'CallExpression') {
+    return node.arguments.map(unwrapFunction).find(Boolean) || null;
+  }
+  if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') return unwrapFunction(node.expression);
+  return null;
+}
+
+/**
+ * @param {any} key
+ */
+function getKeyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier' || key.type === 'PrivateName') return key.name ?? key.id?.name;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return null;
+}
+
+/**
+ * @param {string} name
+ * @param {any} functionNode
+ */
+function getFunctionKind(name, functionNode) {
+  if (/^use[A-Z0-9]/.test(name)) return 'hook';
+  if (/^[A-Z]/.test(name) && containsJsx(functionNode)) return 'component';
+  return 'function';
+}
+
+/**
+ * @param {any} node
+ */
+function containsJsx(node) {
+  let found = false;
+  walk(
+    node,
+    child => {
+      if (child.type === 'JSXElement' || child.type === 'JSXFragment') found = true;
+      return null;
+    },
+    null,
+  );
+  return found;
+}
+
+/**
+ * Returns the name and kind of the symbol declared by the node, null for other nodes
+ *
+ * @param {any} node
+ * @param {CodeSymbol} parentSymbol
+ * @returns {{ name: string, kind: string } | null}
+ */
+function getDeclaration(node, parentSymbol) {
+  switch (node.type) {
+    case 'FunctionDeclaration':
+      return { name: node.id?.name ?? 'default', kind: getFunctionKind(node.id?.name ?? '', node) };
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return node.id || node.type === 'ClassDeclaration' ? { name: node.id?.name ?? 'default', kind: 'class' } : null;
+    case 'ClassMethod':
+    case 'ClassPrivateMethod':
+    case 'ObjectMethod':
+    case 'TSDeclareMethod':
+      return { name: getKeyName(node.key) ?? '[computed]', kind: 'method' };
+    case 'VariableDeclarator': {
+      const fn = unwrapFunction(node.init);
+      if (node.id?.type !== 'Identifier') return null;
+      if (fn) return { name: node.id.name, kind: getFunctionKind(node.id.name, fn) };
+      // top level objects are often message or route definitions
+      if (node.init?.type === 'ObjectExpression' && parentSymbol.kind === 'file') return { name: node.id.name, kind: 'object' };
+      return null;
+    }
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+    case 'ObjectProperty': {
+      const fn = unwrapFunction(node.value);
+      const name = getKeyName(node.key);
+      return fn && name ? { name, kind: node.type === 'ObjectProperty' ? 'function' : 'method' } : null;
+    }
+    case 'ExportDefaultDeclaration': {
+      const fn = unwrapFunction(node.declaration);
+      return fn ? { name: 'default', kind: getFunctionKind('', fn) } : null;
+    }
+    case 'TSInterfaceDeclaration':
+      return { name: node.id.name, kind: 'interface' };
+    case 'TSTypeAliasDeclaration':
+      return { name: node.id.name, kind: 'type' };
+    case 'TSEnumDeclaration':
+      return { name: node.id.name, kind: 'enum' };
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {string} code
+ * @param {string} file
+ * @returns {CodeSymbol[]}
+ */
+function getJsSymbols(code, file) {
+  const ast = parseJs(code, file);
+  /** @type {CodeSymbol} */
+  const root = { name: '', kind: 'file', startLine: 1, endLine: Number.MAX_SAFE_INTEGER, children: [] };
+
+  walk(
+    ast.program,
+    (node, parentSymbol) => {
+      const declaration = getDeclaration(node, parentSymbol);
+      if (!declaration) {
+        return parentSymbol;
+      }
+      /** @type {CodeSymbol} */
+      const symbol = { ...declaration, startLine: node.loc.start.line, endLine: node.loc.end.line, children: [] };
+      parentSymbol.children.push(symbol);
+      return symbol;
+    },
+    root,
+  );
+  return root.children;
+}
+
+/**
+ * Python declarations end where the indentation goes back to the declaration level
+ *
+ * @param {string[]} lines
+ * @returns {CodeSymbol[]}
+ */
+function getPythonSymbols(lines) {
+  /** @type {CodeSymbol} */
+  const root = { name: '', kind: 'file', startLine: 1, endLine: lines.length, children: [] };
+  /** @type {Array<{ symbol: CodeSymbol, indent: number }>} */
+  const stack = [{ symbol: root, indent: -1 }];
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const indent = line.length - line.trimStart().length;
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+
+    const match = /^\s*(?:async\s+)?(def|class)\s+(\w+)/.exec(line);
+    if (!match) return;
+    const parent = stack[stack.length - 1].symbol;
+    const kind = match[1] === 'class' ? 'class' : parent.kind === 'class' ? 'method' : 'function';
+    /** @type {CodeSymbol} */
+    const symbol = { name: match[2], kind, startLine: index + 1, endLine: index + 1, children: [] };
+    parent.children.push(symbol);
+    stack.push({ symbol, indent });
+  });
+
+  // a declaration ends at the last non-empty line before the next line with the same or lower indentation
+  const setEnd = (symbols, parentEnd) => {
+    symbols.forEach((symbol, i) => {
+      const indent = lines[symbol.startLine - 1].length - lines[symbol.startLine - 1].trimStart().length;
+      let end = symbol.startLine;
+      for (let lineNumber = symbol.startLine + 1; lineNumber <= parentEnd; lineNumber++) {
+        const line = lines[lineNumber - 1];
+        if (!line.trim()) continue;
+        if (line.length - line.trimStart().length <= indent) break;
+        end = lineNumber;
+      }
+      symbol.endLine = i + 1 < symbols.length ? Math.min(end, symbols[i + 1].startLine - 1) : end;
+      setEnd(symbol.children, symbol.endLine);
+    });
+  };
+  setEnd(root.children, lines.length);
+  return root.children;
+}
+
+const BRACE_DECLARATIONS = {
+  kotlin:
+    /^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|private|protected|internal|open|abstract|override|suspend|inline|data|sealed|enum|inner|companion)\s+)*(fun|class|object|interface)\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(\w+)/,
+  swift:
+    /^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|private|fileprivate|internal|open|final|static|override|mutating|class)\s+)*(func|class|struct|enum|protocol|extension|var)\s+(\w+)/,
+};
+
+/**
+ * Kotlin and Swift declarations end at the brace closing the first brace opened at or after the declaration line
+ *
+ * @param {string[]} lines
+ * @param {'kotlin' | 'swift'} language
+ * @returns {CodeSymbol[]}
+ */
+function getBraceSymbols(lines, language) {
+  /** @type {CodeSymbol} */
+  const root = { name: '', kind: 'file', startLine: 1, endLine: lines.length, children: [] };
+  /** @type {Array<{ symbol: CodeSymbol, depth: number }>} */
+  const stack = [{ symbol: root, depth: -1 }];
+  /** @type {{ symbol: CodeSymbol, depth: number } | null} */
+  let pending = null;
+  let depth = 0;
+  let parenDepth = 0;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    // string literals may contain braces
+    const code = line.replace(/"(?:[^"\\]|\\.)*"/g, '""').replace(/\/\/.*$/, '');
+
+    const match = BRACE_DECLARATIONS[language].exec(code);
+    // Swift computed properties are symbols only when they declare a view body, e.g. `var body: some View {`
+    if (match && (match[1] !== 'var' || /:\s*some\s+View\b/.test(code))) {
+      const parent = stack[stack.length - 1].symbol;
+      const isFunction = match[1] === 'fun' || match[1] === 'func' || match[1] === 'var';
+      const isComposable = /@Composable\b/.test(code) || (index > 0 && /@Composable\b/.test(lines[index - 1]));
+      const kind = isFunction
+        ? isComposable || match[1] === 'var'
+          ? 'component'
+          : parent.kind === 'class'
+            ? 'method'
+            : 'function'
+        : 'class';
+      const symbol = { name: match[2], kind, startLine: lineNumber, endLine: lineNumber, children: [] };
+      parent.children.push(symbol);
+      pending = { symbol, depth };
+    }
+
+    for (const char of code) {
+      if (char === '(') {
+        parenDepth++;
+      } else if (char === ')') {
+        parenDepth--;
+      } else if (char === '{') {
+        if (pending) {
+          stack.push(pending);
+          pending = null;
+        }
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        const top = stack[stack.length - 1];
+        if (stack.length > 1 && depth === top.depth) {
+          top.symbol.endLine = lineNumber;
+          stack.pop();
+        }
+      }
+    }
+    // declarations without a body, e.g. abstract functions, the body of a multi-line signature starts on a later line
+    if (pending && parenDepth <= 0 && !code.trimEnd().endsWith('=')) {
+      pending = null;
+    }
+  });
+  return root.children;
+}
+
+/**
+ * Returns the symbols declared in the file as a tree
+ *
+ * @param {string} code
+ * @param {string} file
+ * @returns {CodeSymbol[]}
+ */
+function getSymbols(code, file) {
+  const language = getLanguage(file);
+  if (language === 'js') return getJsSymbols(code, file);
+  if (language === 'python') return getPythonSymbols(code.split(/\r?\n/));
+  if (language === 'kotlin' || language === 'swift') return getBraceSymbols(code.split(/\r?\n/), language);
+  return [];
+}
+
+/**
+ * Returns the chain of functions, components and classes containing the line, from the outermost to the innermost
+ *
+ * @param {CodeSymbol[]} symbols
+ * @param {number} line
+ * @returns {CodeSymbol[]}
+ */
+function getEnclosingSymbols(symbols, line) {
+  const chain = [];
+  let level = symbols;
+  for (;;) {
+    const symbol = level.find(s => s.startLine <= line && line <= s.endLine);
+    if (!symbol) break;
+    if (SCOPE_KINDS.includes(symbol.kind)) chain.push(symbol);
+    level = symbol.children;
+  }
+  return chain;
+}
+
+/**
+ * Returns the lines where the identifier is used in the code. For JS and TS only identifiers count,
+ * not the same word in strings or comments.
+ *
+ * @param {string} code
+ * @param {string} file
+ * @param {string} name
+ * @returns {number[]}
+ */
+function findIdentifierLines(code, file, name) {
+  if (getLanguage(file) === 'js') {
+    const lines = new Set();
+    let ast;
+    try {
+      ast = parseJs(code, file);
+    } catch {
+      return findWordLines(code, name);
+    }
+    walk(
+      ast.program,
+      node => {
+        if ((node.type === 'Identifier' || node.type === 'JSXIdentifier') && node.name === name) {
+          lines.add(node.loc.start.line);
+        }
+        return null;
+      },
+      null,
+    );
+    return [...lines].sort((a, b) => a - b);
+  }
+  return findWordLines(code, name);
+}
+
+/**
+ * @param {string} code
+ * @param {string} name
+ * @returns {number[]}
+ */
+function findWordLines(code, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(^|[^\\w$])${escaped}(?![\\w$])`);
+  return code
+    .split(/\r?\n/)
+    .map((line, index) => (pattern.test(line) ? index + 1 : 0))
+    .filter(line => line > 0);
+}
+
+export { isSupportedFile, getSymbols, getEnclosingSymbols, findIdentifierLines };
@@ -0,0 +1,226 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { tool } from '@langchain/core/tools';
+import { getWorkspace } from '../workspace.js';
+import { getRedactor } from '../redact.js';
+import { runGit, isGitRepository, resolveCommit } from '../../git.js';
+
+const DEFAULT_LOG_COUNT = 10;
+const MAX_LOG_COUNT = 50;
+const MAX_BODY_LINES = 15;
+const MAX_BLAME_LINES = 200;
+const MAX_DIFF_LENGTH = 20000;
+const MAX_LINE_LENGTH = 200;
+
+// fields of a commit in the log output, separated by the unit separator, commits by the record separator
+const LOG_FORMAT = '--format=%x1e%h%x1f%ad%x1f%an%x1f%s%x1f%b';
+
+/**
+ * @param {string} text
+ */
+function truncate(text) {
+  return text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)}...` : text;
+}
+
+/**
+ * Formats `git log` output produced with LOG_FORMAT
+ *
+ * @param {string} output
+ */
+function formatLog(output) {
+  return output
+    .split('\x1e')
+    .filter(record => record.trim())
+    .map(record => {
+      const [hash, date, author, subject, body = ''] = record.split('\x1f');
+      const bodyLines = body.trim() ? body.trim().split(/\r?\n/) : [];
+      const lines = [`commit ${hash} (${date}, ${author}) ${subject}`, ...bodyLines.slice(0, MAX_BODY_LINES).map(line => `    ${line}`)];
+      if (bodyLines.length > MAX_BODY_LINES) {
+        lines.push(`    ... ${bodyLines.length - MAX_BODY_LINES} more lines ...`);
+      }
+      return lines.join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * @param {object} input
+ * @param {string | null} relativePath
+ * @param {string} root
+ */
+function log(input, relativePath, root) {
+  const args = ['log', '--no-color', '--date=short', LOG_FORMAT, `--max-count=${input.maxCount || DEFAULT_LOG_COUNT}`];
+  if (input.startLine) {
+    if (!relativePath) {
+      return 'The "path" argument is required to get the history of a line range';
+    }
+    // history of the lines only, without the patches
+    args.push('--no-patch', `-L${input.startLine},${input.endLine || input.startLine}:${relativePath}`);
+  } else {
+    args.push('--', relativePath || '.');
+  }
+  const output = formatLog(runGit(args, root));
+  return output || `No commits found for ${relativePath || 'the working directory'}`;
+}
+
+/**
+ * Formats `git blame --line-porcelain` output
+ *
+ * @param {string} output
+ */
+function formatBlame(output) {
+  const rows = [];
+  /** @type {Map<string, string>} */
+  const subjects = new Map();
+  let current = { hash: '', line: 0, author: '', date: '', summary: '' };
+  for (const line of output.split('\n')) {
+    const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+    if (header) {
+      current = { hash: header[1].slice(0, 7), line: Number(header[2]), author: '', date: '', summary: '' };
+    } else if (line.startsWith('author ')) {
+      current.author = line.slice('author '.length);
+    } else if (line.startsWith('author-time ')) {
+      current.date = new Date(Number(line.slice('author-time '.length)) * 1000).toISOString().slice(0, 10);
+    } else if (line.startsWith('summary ')) {
+      current.summary = line.slice('summary '.length);
+    } else if (line.startsWith('\t')) {
+      const uncommitted = /^0+$/.test(current.hash);
+      const origin = uncommitted ? 'not committed yet' : `${current.hash} ${current.date} ${current.author}`;
+      rows.push(`${current.line}: ${origin} | ${truncate(line.slice(1))}`);
+      if (!uncommitted) {
+        subjects.set(current.hash, `commit ${current.hash} (${current.date}, ${current.author}) ${current.summary}`);
+      }
+    }
+  }
+  return [...rows, '', 'Commits:', ...subjects.values()].join('\n');
+}
+
+/**
+ * @param {object} input
+ * @param {string} relativePath
+ * @param {string} filePath
+ * @param {string} root
+ */
+function blame(input, relativePath, filePath, root) {
+  const total = fs
+    .readFileSync(filePath, 'utf8')
+    .replace(/\r?\n$/, '')
+    .split(/\r?\n/).length;
+  const startLine = Math.min(input.startLine || 1, total);
+  const endLine = Math.min(input.endLine || startLine + MAX_BLAME_LINES - 1, startLine + MAX_BLAME_LINES - 1, total);
+  const output = runGit(['blame', '--line-porcelain', `-L${startLine},${endLine}`, '--', relativePath], root);
+  return [`${relativePath} (lines ${startLine}-${endLine})`, formatBlame(output)].join('\n');
+}
+
+/**
+ * Files the commit changed in the working directory that the agent may see, without the ones excluded by the ignore
+ * rules. The diff and the stat of a commit are limited to them, a commit may have touched an ignored file.
+ *
+ * @param {string} commit
+ * @param {ReturnType<typeof getWorkspace>} workspace
+ * @returns {string[]} paths relative to the working directory
+ */
+function getVisibleChangedFiles(commit, workspace) {
+  return runGit(['show', '--format=', '--relative', '--name-only', '--no-renames', '-z', commit], workspace.root)
+    .split('\0')
+    .filter(file => {
+      if (!file) return false;
+      const absolutePath = path.resolve(workspace.root, file);
+      return workspace.contains(absolutePath) && !workspace.isIgnored(absolutePath);
+    });
+}
+
+/**
+ * @param {object} input
+ * @param {string | null} relativePath
+ * @param {ReturnType<typeof getWorkspace>} workspace
+ */
+function show(input, relativePath, workspace) {
+  if (!input.commit) {
+    return 'The "commit" argument is required for the "show" action';
+  }
+  // only the resolved hash is passed to git show, so a revision can't name a blob of an ignored file
+  const commit = resolveCommit(input.commit, workspace.root);
+  const header = formatLog(runGit(['show', '--no-color', '--date=short', LOG_FORMAT, '--no-patch', commit], workspace.root));
+  const files = getVisibleChangedFiles(commit, workspace);
+  /**
+   * Output of git show for the files, the paths are passed literally, without the pathspec magic of ":(...)" names
+   *
+   * @param {string[]} args
+   * @param {string[]} paths
+   */
+  const showFiles = (args, paths) =>
+    paths.length > 0
+      ? runGit(
+          ['--literal-pathspecs', 'show', '--no-color', '--format=', '--relative', '--no-renames', ...args, commit, '--', ...paths],
+          workspace.root,
+        ).trim()
+      : '';
+  const sections = [header, showFiles(['--stat'], files)];
+  if (relativePath) {
+    // a directory shows the changes of its visible files only
+    const prefix = relativePath.split(path.sep).join('/');
+    let diff = showFiles(
+      [],
+      files.filter(file => prefix === '.' || file === prefix || file.startsWith(`${prefix}/`)),
+    );
+    if (diff.length > MAX_DIFF_LENGTH) {
+      diff = `${diff.slice(0, MAX_DIFF_LENGTH)}\n... diff truncated ...`;
+    }
+    sections.push(diff || `${relativePath} was not changed in ${input.commit}`);
+  }
+  return sections.filter(Boolean).join('\n\n');
+}
+
+export const gitTool = tool(
+  (input, config) => {
+    const workspace = getWorkspace(config?.configurable?.root);
+
+    try {
+      if (!isGitRepository(workspace.root)) {
+        return 'The working directory is not a git repository, the git history is not available';
+      }
+      const filePath = input.path ? workspace.resolvePath(input.path) : null;
+      const relativePath = filePath ? path.relative(workspace.root, filePath) || '.' : null;
+
+      let output;
+      if (input.action === 'log') {
+        output = log(input, relativePath, workspace.root);
+      } else if (input.action === 'blame') {
+        if (!filePath || !relativePath) {
+          return 'The "path" argument is required for the "blame" action';
+        }
+        output = blame(input, relativePath, filePath, workspace.root);
+      } else {
+        output = show(input, relativePath, workspace);
+      }
+      return getRedactor(config).redact(output, relativePath || '');
+    } catch (err) {
+      return String(err?.message || err);
+    }
+  },
+  {
+    name: 'git',
+    description: `Local git history of the working directory. Commit messages around the introduction of a string often explain what it is for:
+- "log" lists the commits (hash, date, author, message) that changed a file or directory, or a line range of a file
+- "blame" shows the last commit that changed every line of a file range, e.g. to find the commit that introduced a key
+- "show" shows the message and changed files of a commit, and its diff for a file when "path" is set
+Cite a commit in the references as "commit:<hash>".`,
+    schema: z.object({
+      action: z.enum(['log', 'blame', 'show']),
+      path: z.string().optional().describe('File or directory, relative to the working directory'),
+      startLine: z.number().int().min(1).optional().describe('First line of the range for "log" and "blame"'),
+      endLine: z.number().int().min(1).optional().describe('Last line of the range for "log" and "blame"'),
+      commit: z.string().optional().describe('Commit hash or other revision for "show"'),
+      maxCount: z
+        .number()
+        .int()
+        .min(1)
+        .max(MAX_LOG_COUNT)
+        .optional()
+        .describe(`Maximum number of commits for "log" (default ${DEFAULT_LOG_COUNT})`),
+    }),
+  },
+);
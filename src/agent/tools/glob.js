@@ -3,16 +3,26 @@ import { globIterate } from 'glob';
 import path from 'path';
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
+import { getWorkspace } from '../workspace.js';
 
 const DISPLAY_LIMIT = 100;
 const SEARCH_LIMIT = 10000;
 
 export const globTool = tool(
-  async input => {
-    const baseDir = input.target_directory || process.cwd();
+  async (input, config) => {
+    const workspace = getWorkspace(config?.configurable?.root);
+    const baseDir = workspace.resolvePath(input.target_directory);
     const pattern = input.glob_pattern;
     // Return relative paths (to baseDir) and include dotfiles. Use iterator to allow early stopping.
-    const iterOptions = { cwd: baseDir, absolute: false, dot: true, ignore: [] };
+    const iterOptions = {
+      cwd: baseDir,
+      absolute: false,
+      dot: true,
+      ignore: {
+        ignored: p => workspace.isIgnored(p.fullpath(), p.isDirectory()),
+        childrenIgnored: p => workspace.isIgnored(p.fullpath(), true),
+      },
+    };
     const matches = [];
     let scannedCount = 0;
 
@@ -21,6 +31,8 @@ export const globTool = tool(
     while (scannedCount < SEARCH_LIMIT) {
       const { value, done } = await iterator.next();
       if (done) break;
+      // patterns like "../*" or symlinks can lead outside of the workspace
+      if (!workspace.contains(path.resolve(baseDir, value))) continue;
       matches.push(value);
       scannedCount++;
     }
@@ -30,7 +42,7 @@ export const globTool = tool(
     const visibleMatches = matches.slice(0, DISPLAY_LIMIT);
 
     const baseAbs = path.resolve(baseDir);
-    const cwdAbs = process.cwd();
+    const cwdAbs = workspace.root;
     const relBase = path.relative(cwdAbs, baseAbs);
     const headerDirLabel = relBase ? `./${relBase}` : '.';
 
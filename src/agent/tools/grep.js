@@ -2,33 +2,60 @@
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
 import { spawnSync } from 'child_process';
+import path from 'path';
 import { rgPath } from 'vscode-ripgrep';
+import { getWorkspace } from '../workspace.js';
+import { getRedactor } from '../redact.js';
 
 const DEFAULT_HEAD_LIMIT = 250;
 const MAX_HEAD_LIMIT = 250;
 
 export const grepTool = tool(
-  input => {
+  (input, config) => {
+    const workspace = getWorkspace(config?.configurable?.root);
+    let searchPath;
+    try {
+      searchPath = input.path ? workspace.resolvePath(input.path) : undefined;
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    // the workspace excludes come after the glob of the agent, so they win over it
     const args = ['-n', '--heading'];
+    if (input.glob) args.push(`--glob`, input.glob);
+    args.push(...workspace.getRipgrepArgs());
     if (input['-i']) args.push('-i');
     if (input.multiline) args.push('-U', '--multiline-dotall');
     if (typeof input['-B'] === 'number') args.push(`-B`, String(input['-B']));
     if (typeof input['-A'] === 'number') args.push(`-A`, String(input['-A']));
     if (typeof input['-C'] === 'number') args.push(`-C`, String(input['-C']));
     if (input.type) args.push(`--type`, input.type);
-    if (input.glob) args.push(`--glob`, input.glob);
     if (input.output_mode === 'files_with_matches') args.push(`--files-with-matches`);
     if (input.output_mode === 'count') args.push(`--count`);
 
-    args.push(input.pattern);
-    if (input.path) args.push(input.path);
+    args.push('--', input.pattern);
+    // keep the output paths relative to the working directory, an explicit path also keeps ripgrep from reading stdin
+    args.push(searchPath ? path.relative(workspace.root, searchPath) || '.' : '.');
 
-    const proc = spawnSync(rgPath, args, { encoding: 'utf8' });
+    const proc = spawnSync(rgPath, args, { cwd: workspace.root, encoding: 'utf8' });
     if (proc.error) {
       return { error: `ripgrep not available: ${proc.error.message}` };
     }
-    let output = proc.stdout;
-    let lines = output.split('\n');
+
+    // with --heading every file section starts with the file path, match lines start with the line number
+    const getHeadingFile = line =>
+      line && line !== '--' && !/^\d+[:-]/.test(line) && !line.startsWith('...') ? line.replace(/^\.\//, '').replace(/:\d+$/, '') : null;
+
+    // a --glob overrides the .gitignore files in ripgrep, so the sections of files the read tool refuses are dropped
+    let hidden = false;
+    const lines = proc.stdout.split('\n').filter(line => {
+      const file = getHeadingFile(line);
+      if (file) {
+        const absolutePath = path.resolve(workspace.root, file);
+        hidden = !workspace.contains(absolutePath) || workspace.isIgnored(absolutePath);
+      }
+      return !hidden;
+    });
 
     const headLimit = input.head_limit || DEFAULT_HEAD_LIMIT;
     const truncated = Math.max(0, lines.length - headLimit);
@@ -39,8 +66,7 @@ export const grepTool = tool(
       result.push('');
       result.push(`... [${truncated} lines truncated] ...`);
     }
-
-    return result.join('\n');
+    return getRedactor(config).redact(result.join('\n'), getHeadingFile);
   },
   {
     name: 'grep',
@@ -0,0 +1,55 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { tool } from '@langchain/core/tools';
+import { getWorkspace } from '../workspace.js';
+import { getRedactor } from '../redact.js';
+import { DEFAULT_MAX_IMAGE_KB, IMAGE_MIME_TYPES } from '../images.js';
+
+const MAX_SVG_LENGTH = 20000;
+
+export const imageTool = tool(
+  (input, config) => {
+    const workspace = getWorkspace(config?.configurable?.root);
+    const maxImageKb = config?.configurable?.maxImageKb || DEFAULT_MAX_IMAGE_KB;
+
+    try {
+      const filePath = workspace.resolvePath(input.path);
+      const relativePath = path.relative(workspace.root, filePath);
+      const extension = path.extname(filePath).toLowerCase();
+      const size = fs.statSync(filePath).size;
+
+      // SVG is text, the model reads the shapes and labels from the markup
+      if (extension === '.svg') {
+        const svg = fs.readFileSync(filePath, 'utf8');
+        const visible = svg.length > MAX_SVG_LENGTH ? `${svg.slice(0, MAX_SVG_LENGTH)}\n... SVG truncated ...` : svg;
+        return getRedactor(config).redact(`SVG image ${relativePath}:\n${visible}`, relativePath);
+      }
+
+      const mimeType = IMAGE_MIME_TYPES[extension];
+      if (!mimeType) {
+        return `Unsupported image type: ${extension || relativePath}. Supported: ${[...Object.keys(IMAGE_MIME_TYPES), '.svg'].join(', ')}`;
+      }
+      if (size > maxImageKb * 1024) {
+        return `${relativePath} is too large to be sent (${Math.round(size / 1024)} KB, the limit is ${maxImageKb} KB)`;
+      }
+
+      const data = fs.readFileSync(filePath).toString('base64');
+      return [
+        { type: 'text', text: `Image ${relativePath} (${Math.ceil(size / 1024)} KB):` },
+        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } },
+      ];
+    } catch (err) {
+      return String(err?.message || err);
+    }
+  },
+  {
+    name: 'image',
+    description:
+      'Look at a local image (PNG, JPEG, GIF, WebP or SVG), e.g. a screenshot, Storybook snapshot or icon found next to the component using a string, to see where and how the string is displayed.',
+    schema: z.object({
+      path: z.string().describe('Image path, relative to the working directory'),
+    }),
+  },
+);
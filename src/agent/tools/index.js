@@ -2,5 +2,9 @@ import { globTool } from './glob.js';
 import { grepTool } from './grep.js';
 import { lsTool } from './ls.js';
 import { readTool } from './read.js';
+import { symbolsTool } from './symbols.js';
+import { gitTool } from './git.js';
+import { imageTool } from './image.js';
+import { returnContextTool, returnContextsTool } from './return-context.js';
 
-export { globTool, grepTool, lsTool, readTool };
+export { globTool, grepTool, lsTool, readTool, symbolsTool, gitTool, imageTool, returnContextTool, returnContextsTool };
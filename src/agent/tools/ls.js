@@ -4,12 +4,19 @@ import path from 'path';
 import { minimatch } from 'minimatch';
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
+import { getWorkspace } from '../workspace.js';
 
 const MAX_TYPES_TO_DISPLAY = 5;
 const MAX_FILES_TO_SCAN = 10000;
 
-function shouldIgnore(p, ignorePatterns) {
-  return ignorePatterns.some(pattern => minimatch(p, pattern));
+/**
+ * @param {string} p absolute path
+ * @param {boolean} isDirectory
+ * @param {string[]} ignorePatterns
+ * @param {ReturnType<typeof getWorkspace>} workspace
+ */
+function shouldIgnore(p, isDirectory, ignorePatterns, workspace) {
+  return ignorePatterns.some(pattern => minimatch(p, pattern)) || workspace.isIgnored(p, isDirectory);
 }
 
 function getExtensionPattern(filePath) {
@@ -18,7 +25,7 @@ function getExtensionPattern(filePath) {
   return `*${ext}`; // e.g., '*.php'
 }
 
-function collectDirectoryStats(dirPath, ignorePatterns) {
+function collectDirectoryStats(dirPath, ignorePatterns, workspace) {
   let totalFiles = 0;
   /** @type {Map<string, number>} */
   const extToCount = new Map();
@@ -27,7 +34,6 @@ function collectDirectoryStats(dirPath, ignorePatterns) {
   while (stack.length > 0 && totalFiles < MAX_FILES_TO_SCAN) {
     const current = stack.pop();
     if (!current) break;
-    if (shouldIgnore(current, ignorePatterns)) continue;
     let dirents;
     try {
       dirents = fs.readdirSync(current, { withFileTypes: true });
@@ -36,7 +42,7 @@ function collectDirectoryStats(dirPath, ignorePatterns) {
     }
     for (const d of dirents) {
       const full = path.resolve(current, d.name);
-      if (shouldIgnore(full, ignorePatterns)) continue;
+      if (shouldIgnore(full, d.isDirectory(), ignorePatterns, workspace)) continue;
       if (d.isDirectory()) {
         stack.push(full);
       } else if (d.isFile()) {
@@ -62,12 +68,13 @@ function formatExtSummary(totalFiles, extToCount) {
 }
 
 export const lsTool = tool(
-  input => {
-    const listPath = input.path;
+  (input, config) => {
+    const workspace = getWorkspace(config?.configurable?.root);
     const ignore = input.ignore || [];
-    const absRoot = path.resolve(listPath);
+    let absRoot;
     let dirents;
     try {
+      absRoot = workspace.resolvePath(input.path);
       dirents = fs.readdirSync(absRoot, { withFileTypes: true });
     } catch (err) {
       return String(err?.message || 'Unable to read directory');
@@ -75,7 +82,7 @@ export const lsTool = tool(
 
     const entries = dirents
       .map(d => ({ name: d.name, isDir: d.isDirectory(), abs: path.resolve(absRoot, d.name) }))
-      .filter(e => !shouldIgnore(e.abs, ignore))
+      .filter(e => !shouldIgnore(e.abs, e.isDir, ignore, workspace))
       .sort((a, b) => a.name.localeCompare(b.name));
 
     const header = absRoot.endsWith(path.sep) ? absRoot : absRoot + path.sep;
@@ -85,7 +92,7 @@ export const lsTool = tool(
       const label = e.isDir ? `${e.name}/` : e.name;
       lines.push(`  - ${label}`);
       if (e.isDir) {
-        const { totalFiles, extToCount } = collectDirectoryStats(e.abs, ignore);
+        const { totalFiles, extToCount } = collectDirectoryStats(e.abs, ignore, workspace);
         lines.push(`    ${formatExtSummary(totalFiles, extToCount)}`);
       }
     }
@@ -96,7 +103,7 @@ export const lsTool = tool(
     name: 'ls',
     description: 'List directory entries',
     schema: z.object({
-      path: z.string().describe('Directory to list'),
+      path: z.string().describe('Directory to list, relative to the working directory'),
       ignore: z.array(z.string()).optional().describe('Glob patterns to ignore'),
     }),
   },
@@ -1,14 +1,18 @@
 // @ts-check
 import fs from 'fs';
+import path from 'path';
 import { z } from 'zod';
 import { tool } from '@langchain/core/tools';
+import { getWorkspace } from '../workspace.js';
+import { getRedactor } from '../redact.js';
 
 const DEFAULT_LIMIT = 250;
 const MAX_LIMIT = 750;
 
 export const readTool = tool(
-  input => {
-    const filePath = input.path;
+  (input, config) => {
+    const workspace = getWorkspace(config?.configurable?.root);
+    const filePath = workspace.resolvePath(input.path);
     const content = fs.readFileSync(filePath, 'utf8');
     const allLines = content.split(/\r?\n/);
 
@@ -32,13 +36,13 @@ export const readTool = tool(
       result.push(`... ${total - endLine} lines not shown ...`);
     }
 
-    return result.join('\n');
+    return getRedactor(config).redact(result.join('\n'), path.relative(workspace.root, filePath));
   },
   {
     name: 'read',
     description: 'Read file contents',
     schema: z.object({
-      path: z.string().describe('File path to read'),
+      path: z.string().describe('File path to read, relative to the working directory'),
       offset: z.number().min(1).optional().describe('Line number to start from'),
       limit: z
         .number()
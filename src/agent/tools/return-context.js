@@ -0,0 +1,49 @@
+// @ts-check
+import { z } from 'zod';
+import { tool } from '@langchain/core/tools';
+import { contextDetailsSchema, normalizeContext } from '../../context.js';
+
+// the harvest ends with a call of one of these tools, their output is the result of the run
+export const returnContextTool = tool(
+  input => {
+    const context = normalizeContext(input);
+    return context ? JSON.stringify(context) : '';
+  },
+  {
+    name: 'return_context',
+    description: 'Return context text for the current string, optionally with structured details about its usage.',
+    schema: z.object({
+      context: z.string().optional().describe('Context text'),
+      ...contextDetailsSchema,
+    }),
+    returnDirect: true,
+  },
+);
+
+export const returnContextsTool = tool(
+  (input, config) => {
+    // only contexts for the strings of the current batch are accepted
+    const requestedIds = new Set((config?.configurable?.requestedIds || []).map(String));
+    const contexts = (input?.contexts || [])
+      .filter(item => requestedIds.has(String(item?.id)))
+      .map(item => ({ id: String(item.id), context: normalizeContext(item) }))
+      .filter(item => item.context);
+    return JSON.stringify(contexts);
+  },
+  {
+    name: 'return_contexts',
+    description: 'Return context texts for the requested strings. Include only strings you found context for.',
+    schema: z.object({
+      contexts: z
+        .array(
+          z.object({
+            id: z.union([z.number(), z.string()]).describe('String id'),
+            context: z.string().describe('Context text'),
+            ...contextDetailsSchema,
+          }),
+        )
+        .describe('Contexts of the requested strings'),
+    }),
+    returnDirect: true,
+  },
+);
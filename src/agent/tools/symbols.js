@@ -0,0 +1,172 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { tool } from '@langchain/core/tools';
+import { getWorkspace } from '../workspace.js';
+import { getRedactor } from '../redact.js';
+import { isSupportedFile, getSymbols, getEnclosingSymbols, findIdentifierLines } from '../symbols.js';
+import { findFilesContaining } from '../../search.js';
+
+const MAX_OUTLINE_SYMBOLS = 200;
+const MAX_REFERENCE_FILES = 50;
+const MAX_REFERENCES = 100;
+const MAX_LINE_LENGTH = 200;
+
+/**
+ * @param {import('../symbols.js').CodeSymbol} symbol
+ */
+function formatSymbol(symbol) {
+  return `${symbol.kind} ${symbol.name} (lines ${symbol.startLine}-${symbol.endLine})`;
+}
+
+/**
+ * @param {string} text
+ */
+function truncate(text) {
+  const trimmed = text.trim();
+  return trimmed.length > MAX_LINE_LENGTH ? `${trimmed.slice(0, MAX_LINE_LENGTH)}...` : trimmed;
+}
+
+/**
+ * @param {import('../symbols.js').CodeSymbol[]} symbols
+ * @returns {string[]}
+ */
+function formatOutline(symbols, depth = 0) {
+  return symbols.flatMap(symbol => [`${'  '.repeat(depth)}- ${formatSymbol(symbol)}`, ...formatOutline(symbol.children, depth + 1)]);
+}
+
+/**
+ * @param {string} file absolute path
+ */
+function readSupportedFile(file) {
+  if (!isSupportedFile(file)) {
+    throw new Error(`Unsupported file type: ${path.extname(file) || file}. Supported: JS, TS, JSX, Python, Kotlin, Swift`);
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * @param {string} file absolute path
+ * @param {string} relativePath
+ */
+function outline(file, relativePath) {
+  const lines = formatOutline(getSymbols(readSupportedFile(file), file));
+  if (lines.length === 0) {
+    return `No functions, components or classes found in ${relativePath}`;
+  }
+  const visible = lines.slice(0, MAX_OUTLINE_SYMBOLS);
+  if (lines.length > visible.length) {
+    visible.push(`... ${lines.length - visible.length} more symbols ...`);
+  }
+  return [`Outline of ${relativePath}:`, ...visible].join('\n');
+}
+
+/**
+ * @param {string} file absolute path
+ * @param {string} relativePath
+ * @param {number} line
+ */
+function enclosing(file, relativePath, line) {
+  const code = readSupportedFile(file);
+  const chain = getEnclosingSymbols(getSymbols(code, file), line);
+  if (chain.length === 0) {
+    return `${relativePath}:${line} is not inside a function, component or class`;
+  }
+  const innermost = chain[chain.length - 1];
+  return [
+    `${relativePath}:${line} is inside ${chain.map(symbol => symbol.name).join(' > ')}`,
+    ...chain.map(symbol => `- ${formatSymbol(symbol)}: ${truncate(code.split(/\r?\n/)[symbol.startLine - 1] ?? '')}`),
+    `Read lines ${innermost.startLine}-${innermost.endLine} to see the whole ${innermost.kind}.`,
+  ].join('\n');
+}
+
+/**
+ * @param {ReturnType<typeof getWorkspace>} workspace
+ * @param {ReturnType<typeof getRedactor>} redactor
+ * @param {string} symbol
+ * @param {string} searchPath absolute path of the file or directory to search in, enclosing symbols are reported
+ * for supported files only
+ */
+function references(workspace, redactor, symbol, searchPath) {
+  // searching from the root applies the ignore rules of the whole workspace
+  const files = findFilesContaining({ term: symbol, cwd: workspace.root })
+    .map(file => path.resolve(workspace.root, file))
+    .filter(file => (file === searchPath || file.startsWith(searchPath + path.sep)) && workspace.contains(file));
+
+  const sections = [];
+  let count = 0;
+  for (const file of files.slice(0, MAX_REFERENCE_FILES)) {
+    if (count >= MAX_REFERENCES) break;
+    const relativePath = path.relative(workspace.root, file);
+    const code = fs.readFileSync(file, 'utf8');
+    const lines = code.split(/\r?\n/);
+    const symbols = isSupportedFile(file) ? getSymbols(code, file) : [];
+    const identifierLines = findIdentifierLines(code, file, symbol);
+    if (identifierLines.length === 0) continue;
+
+    const section = [relativePath];
+    for (const line of identifierLines.slice(0, MAX_REFERENCES - count)) {
+      const chain = getEnclosingSymbols(symbols, line);
+      const scope = chain.length > 0 ? ` [in ${chain.map(s => s.name).join(' > ')}]` : '';
+      section.push(`${line}:${scope} ${truncate(lines[line - 1] ?? '')}`);
+      count++;
+    }
+    sections.push(redactor.redact(section.join('\n'), relativePath));
+  }
+
+  if (sections.length === 0) {
+    return `No references to ${symbol} found`;
+  }
+  const result = [`References to ${symbol}:`, ...sections];
+  if (files.length > MAX_REFERENCE_FILES || count >= MAX_REFERENCES) {
+    result.push(`... more references not shown (search in a more specific path)`);
+  }
+  return result.join('\n\n');
+}
+
+export const symbolsTool = tool(
+  (input, config) => {
+    const workspace = getWorkspace(config?.configurable?.root);
+    const redactor = getRedactor(config);
+
+    try {
+      const filePath = workspace.resolvePath(input.path);
+      const relativePath = path.relative(workspace.root, filePath) || '.';
+
+      if (input.action === 'outline') {
+        return redactor.redact(outline(filePath, relativePath), relativePath);
+      }
+      if (input.action === 'enclosing') {
+        if (typeof input.line !== 'number') {
+          return 'The "line" argument is required for the "enclosing" action';
+        }
+        return redactor.redact(enclosing(filePath, relativePath, input.line), relativePath);
+      }
+      if (!input.symbol) {
+        return 'The "symbol" argument is required for the "references" action';
+      }
+      return references(workspace, redactor, input.symbol, filePath);
+    } catch (err) {
+      return String(err?.message || err);
+    }
+  },
+  {
+    name: 'symbols',
+    description: `Code navigation for JS, TS, JSX, Python, Kotlin and Swift files:
+- "outline" lists the functions, components, hooks, classes and methods of a file with their line ranges
+- "enclosing" finds the function or component (and its parents) containing a line, e.g. the component rendering a string found by grep
+- "references" lists where a symbol (e.g. a wrapper hook or a component) is used in the code, ignoring strings and comments`,
+    schema: z.object({
+      action: z.enum(['outline', 'enclosing', 'references']),
+      path: z
+        .string()
+        .optional()
+        .describe(
+          'File for "outline" and "enclosing", file or directory to search in for "references" (defaults to the working directory)',
+        ),
+      line: z.number().int().min(1).optional().describe('Line number for "enclosing"'),
+      symbol: z.string().optional().describe('Identifier to find references to for "references"'),
+    }),
+  },
+);
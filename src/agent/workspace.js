@@ -0,0 +1,257 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import { Minimatch } from 'minimatch';
+
+const IGNORE_FILE = '.harvesterignore';
+
+// always excluded, dependencies and build output are noise for the agent and lockfiles are huge
+const DEFAULT_EXCLUDES = [
+  '.git/',
+  'node_modules/',
+  'bower_components/',
+  'vendor/',
+  'dist/',
+  'build/',
+  'coverage/',
+  '.next/',
+  '.nuxt/',
+  'Pods/',
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'composer.lock',
+  'Gemfile.lock',
+  'Podfile.lock',
+  'Cargo.lock',
+  'poetry.lock',
+  'go.sum',
+  '*.min.js',
+];
+
+/**
+ * Compiles a single .gitignore line
+ *
+ * @param {string} line
+ * @returns {{ negate: boolean, dirOnly: boolean, matcher: Minimatch } | null}
+ */
+function parseIgnoreLine(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  pattern = pattern.replace(/^\\([#!])/, '$1');
+
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.slice(0, -1);
+
+  // patterns with a slash in the beginning or middle are relative to the ignore file, others match at any depth
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return null;
+
+  return { negate, dirOnly, matcher: new Minimatch(anchored ? pattern : `**/${pattern}`, { dot: true }) };
+}
+
+/**
+ * @param {string} content
+ */
+function parseIgnoreRules(content) {
+  return content
+    .split(/\r?\n/)
+    .map(parseIgnoreLine)
+    .filter(rule => rule !== null);
+}
+
+/**
+ * @param {string} parent
+ * @param {string} child
+ */
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Directory the agent tools are confined to. Paths are resolved against the root, paths escaping it
+ * (with ".." or through symlinks) are refused, and files excluded by the default excludes, .gitignore
+ * and .harvesterignore files are hidden from the agent.
+ *
+ * @param {string} root
+ */
+function createWorkspace(root) {
+  const rootPath = path.resolve(root);
+  const realRoot = fs.realpathSync(rootPath);
+  const defaultRules = parseIgnoreRules(DEFAULT_EXCLUDES.join('\n'));
+  /** @type {Map<string, ReturnType<typeof parseIgnoreRules>>} */
+  const rulesByDir = new Map();
+
+  /**
+   * Rules of the ignore files placed in the directory. Like in ripgrep, .gitignore files are read in every directory
+   * and .harvesterignore only in the root.
+   *
+   * @param {string} dir
+   */
+  function getDirRules(dir) {
+    let rules = rulesByDir.get(dir);
+    if (!rules) {
+      rules = [];
+      for (const ignoreFile of dir === rootPath ? ['.gitignore', IGNORE_FILE] : ['.gitignore']) {
+        try {
+          rules.push(...parseIgnoreRules(fs.readFileSync(path.join(dir, ignoreFile), 'utf8')));
+        } catch {
+          // no ignore file in this directory
+        }
+      }
+      rulesByDir.set(dir, rules);
+    }
+    return rules;
+  }
+
+  /**
+   * @param {string[]} parts path segments relative to the root
+   * @param {boolean} isDirectory
+   */
+  function isExcludedByDefault(parts, isDirectory) {
+    const relativePath = parts.join('/');
+    return defaultRules.some(rule => (!rule.dirOnly || isDirectory) && rule.matcher.match(relativePath));
+  }
+
+  /**
+   * Checks the path itself against the rules of the root and all its parent directories, the last matching rule wins
+   *
+   * @param {string[]} parts path segments relative to the root
+   * @param {boolean} isDirectory
+   */
+  function matchesRules(parts, isDirectory) {
+    let ignored = false;
+    const apply = (rules, relativePath) => {
+      for (const rule of rules) {
+        if ((!rule.dirOnly || isDirectory) && rule.matcher.match(relativePath)) {
+          ignored = !rule.negate;
+        }
+      }
+    };
+
+    for (let depth = 0; depth < parts.length; depth++) {
+      apply(getDirRules(path.join(rootPath, ...parts.slice(0, depth))), parts.slice(depth).join('/'));
+    }
+    return ignored;
+  }
+
+  return {
+    root: rootPath,
+
+    /**
+     * Checks whether the path (or one of its parent directories) is excluded by the ignore rules
+     *
+     * @param {string} absolutePath
+     * @param {boolean} [isDirectory]
+     * @returns {boolean}
+     */
+    isIgnored(absolutePath, isDirectory = false) {
+      const relative = path.relative(rootPath, absolutePath);
+      if (!relative) return false;
+
+      // a file can't be re-included when its parent directory is excluded
+      const parts = relative.split(path.sep);
+      for (let i = 1; i <= parts.length; i++) {
+        const isDir = i < parts.length || isDirectory;
+        if (isExcludedByDefault(parts.slice(0, i), isDir) || matchesRules(parts.slice(0, i), isDir)) {
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Checks that the path stays inside the root after resolving symlinks
+     *
+     * @param {string} absolutePath
+     * @returns {boolean}
+     */
+    contains(absolutePath) {
+      if (!isInside(rootPath, absolutePath)) return false;
+      try {
+        return isInside(realRoot, fs.realpathSync(absolutePath));
+      } catch {
+        // not existing paths can't point outside
+        return true;
+      }
+    },
+
+    /**
+     * Resolves a path passed to a tool, throws if it is outside the root or ignored
+     *
+     * @param {string} [requestedPath] absolute or relative to the root
+     * @returns {string} absolute path
+     */
+    resolvePath(requestedPath) {
+      const absolutePath = path.resolve(rootPath, requestedPath || '.');
+      if (!this.contains(absolutePath)) {
+        throw new Error(`Access denied: ${requestedPath} is outside of the working directory ${rootPath}`);
+      }
+      let isDirectory = false;
+      try {
+        isDirectory = fs.statSync(absolutePath).isDirectory();
+      } catch {
+        // reported by the tool reading the path
+      }
+      if (this.isIgnored(absolutePath, isDirectory)) {
+        throw new Error(`Access denied: ${requestedPath} is excluded by the ignore rules`);
+      }
+      return absolutePath;
+    },
+
+    /**
+     * Ripgrep arguments applying the same ignore rules to the searches run in the root
+     *
+     * @returns {string[]}
+     */
+    getRipgrepArgs() {
+      const args = ['--no-require-git'];
+      for (const pattern of DEFAULT_EXCLUDES) {
+        args.push('--glob', `!${pattern.replace(/\/$/, '')}`);
+      }
+      // ripgrep reads .gitignore files itself
+      const harvesterIgnore = path.join(rootPath, IGNORE_FILE);
+      if (fs.existsSync(harvesterIgnore)) {
+        args.push('--ignore-file', harvesterIgnore);
+      }
+      return args;
+    },
+  };
+}
+
+/** @type {Map<string, ReturnType<typeof createWorkspace>>} */
+const workspaces = new Map();
+
+/**
+ * Returns the (cached) workspace of the root directory, the current working directory by default
+ *
+ * @param {string} [root]
+ */
+function getWorkspace(root = process.cwd()) {
+  const rootPath = path.resolve(root);
+  let workspace = workspaces.get(rootPath);
+  if (!workspace) {
+    workspace = createWorkspace(rootPath);
+    workspaces.set(rootPath, workspace);
+  }
+  return workspace;
+}
+
+/**
+ * Directory the agent works in: --root if set, the current working directory otherwise
+ *
+ * @param {object} options
+ * @returns {string}
+ */
+function getWorkingDir(options) {
+  return path.resolve(options.root || process.cwd());
+}
+
+export { DEFAULT_EXCLUDES, getWorkspace, getWorkingDir };
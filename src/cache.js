@@ -0,0 +1,124 @@
+//@ts-check
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const CACHE_VERSION = 2;
+
+/**
+ * @param {string | Buffer} value
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Key of a cache entry. Changing the string text or key, or the settings the context was harvested with, invalidates
+ * the entry.
+ *
+ * @param {object} string
+ * @param {string} settingsKey
+ */
+function getStringKey(string, settingsKey) {
+  return hash(JSON.stringify([string.id, string.text, string.identifier, settingsKey]));
+}
+
+/**
+ * @param {string} filePath absolute file path
+ * @returns {string | null}
+ */
+function fingerprintFile(filePath) {
+  try {
+    return hash(fs.readFileSync(filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Local cache of harvested contexts. Every entry remembers the files the agent read while looking for the context
+ * together with their content hashes, the entry is reused only while none of those files has changed.
+ *
+ * @param {object} param0
+ * @param {string} param0.cacheFile
+ * @param {string} param0.workingDir
+ * @param {object} param0.settings AI provider, model, prompt and other options the contexts depend on
+ */
+function loadContextCache({ cacheFile, workingDir, settings }) {
+  const settingsKey = hash(JSON.stringify(settings));
+  /** @type {Record<string, { key: string, files: Record<string, string>, context: object }>} */
+  let entries = {};
+
+  if (fs.existsSync(cacheFile)) {
+    try {
+      const content = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      if (content?.version === CACHE_VERSION && content.entries) {
+        entries = content.entries;
+      }
+    } catch (e) {
+      console.log(`\nIgnoring unreadable cache file ${cacheFile}: ${e.message}`);
+    }
+  }
+
+  return {
+    /**
+     * Returns the cached context if the string and all files recorded for it are unchanged
+     *
+     * @param {object} string
+     * @returns {object | null}
+     */
+    lookup(string) {
+      const entry = entries[string.id];
+      if (!entry || entry.key !== getStringKey(string, settingsKey)) {
+        return null;
+      }
+
+      for (const [file, fingerprint] of Object.entries(entry.files)) {
+        if (fingerprintFile(path.resolve(workingDir, file)) !== fingerprint) {
+          return null;
+        }
+      }
+
+      return entry.context;
+    },
+
+    /**
+     * @param {object} string
+     * @param {object} param1
+     * @param {object | null} param1.context
+     * @param {string[]} param1.filesRead file paths passed to the read tool
+     */
+    store(string, { context, filesRead }) {
+      // without the files the context was based on there is no way to tell whether it is still valid
+      if (!context || filesRead.length === 0) {
+        delete entries[string.id];
+        return;
+      }
+
+      /** @type {Record<string, string>} */
+      const files = {};
+      for (const file of filesRead) {
+        const absolutePath = path.resolve(workingDir, file);
+        const fingerprint = fingerprintFile(absolutePath);
+        if (fingerprint) {
+          files[path.relative(workingDir, absolutePath)] = fingerprint;
+        }
+      }
+      // none of the files could be read anymore, so nothing would ever invalidate the entry
+      if (Object.keys(files).length === 0) {
+        delete entries[string.id];
+        return;
+      }
+
+      entries[string.id] = { key: getStringKey(string, settingsKey), files, context };
+    },
+
+    save() {
+      const tmpFile = `${cacheFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ version: CACHE_VERSION, entries }));
+      fs.renameSync(tmpFile, cacheFile);
+    },
+  };
+}
+
+export { loadContextCache };
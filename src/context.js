@@ -0,0 +1,153 @@
+//@ts-check
+import { z } from 'zod';
+
+const ELEMENT_TYPES = ['button', 'title', 'label', 'tooltip', 'error', 'message', 'placeholder', 'link', 'menu', 'other'];
+// ordered from the lowest to the highest
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const MATCH_TYPES = ['exact_key', 'exact_text', 'fuzzy'];
+
+// optional structured fields the agent can return together with the context text
+const contextDetailsSchema = {
+  elementType: z
+    .enum(/** @type {[string, ...string[]]} */ (ELEMENT_TYPES))
+    .optional()
+    .describe('Type of the UI element displaying the string'),
+  screen: z.string().optional().describe('Screen, page or feature where the string appears'),
+  placeholders: z
+    .array(
+      z.object({
+        name: z.string().describe('Placeholder as written in the string, e.g. {count} or %s'),
+        meaning: z.string().describe('What the placeholder is replaced with'),
+      }),
+    )
+    .optional()
+    .describe('Placeholders used in the string and their meaning'),
+  maxLength: z.number().int().positive().optional().describe('Maximum length of the translation in characters, if limited by the UI'),
+  references: z
+    .array(z.string())
+    .optional()
+    .describe('Code locations the context is based on, as "path:line", and commits explaining the string, as "commit:<hash>"'),
+  confidence: z
+    .enum(/** @type {[string, ...string[]]} */ (CONFIDENCE_LEVELS))
+    .optional()
+    .describe('How confident you are that the context is correct'),
+  matchType: z
+    .enum(/** @type {[string, ...string[]]} */ (MATCH_TYPES))
+    .optional()
+    .describe('How the string was found in the code: exact key match, exact text match or fuzzy match'),
+};
+
+/**
+ * Normalizes the context returned by the agent (or recorded by a previous run) to an object
+ *
+ * @param {string | object | null | undefined} value
+ * @returns {{ context: string, elementType?: string, screen?: string, placeholders?: Array<{ name: string, meaning: string }>, maxLength?: number, references?: string[], confidence?: string, matchType?: string, verified?: boolean, screenshots?: string[] } | null}
+ */
+function normalizeContext(value) {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    return text ? { context: text } : null;
+  }
+
+  const text = typeof value.context === 'string' ? value.context.trim() : '';
+  if (!text) return null;
+
+  const normalized = { context: text };
+  if (ELEMENT_TYPES.includes(value.elementType)) normalized.elementType = value.elementType;
+  if (typeof value.screen === 'string' && value.screen.trim()) normalized.screen = value.screen.trim();
+  if (Array.isArray(value.placeholders) && value.placeholders.length > 0) {
+    normalized.placeholders = value.placeholders
+      .filter(p => p?.name)
+      .map(p => ({ name: String(p.name), meaning: String(p.meaning ?? '') }));
+  }
+  if (Number.isInteger(value.maxLength) && value.maxLength > 0) normalized.maxLength = value.maxLength;
+  if (Array.isArray(value.references) && value.references.length > 0) normalized.references = value.references.map(String);
+  if (CONFIDENCE_LEVELS.includes(value.confidence)) normalized.confidence = value.confidence;
+  if (MATCH_TYPES.includes(value.matchType)) normalized.matchType = value.matchType;
+  if (typeof value.verified === 'boolean') normalized.verified = value.verified;
+  if (Array.isArray(value.screenshots) && value.screenshots.length > 0) normalized.screenshots = value.screenshots.map(String);
+
+  return normalized;
+}
+
+/**
+ * Renders the context with its structured fields as text for the AI Context section
+ *
+ * @param {NonNullable<ReturnType<typeof normalizeContext>>} context
+ * @param {object} [param1]
+ * @param {boolean} [param1.includeReferences] add code references to the rendered text
+ * @returns {string}
+ */
+function renderContext(context, { includeReferences = false } = {}) {
+  const lines = [context.context];
+  if (context.elementType) lines.push(`UI element: ${context.elementType}`);
+  if (context.screen) lines.push(`Screen: ${context.screen}`);
+  if (context.placeholders?.length) {
+    lines.push(`Placeholders: ${context.placeholders.map(p => `${p.name} - ${p.meaning}`).join('; ')}`);
+  }
+  if (context.maxLength) lines.push(`Max length: ${context.maxLength} characters`);
+  if (includeReferences && context.references?.length) lines.push(`Code references: ${context.references.join(', ')}`);
+  return lines.join('\n');
+}
+
+const CONTEXT_CSV_FIELDS = [
+  'elementType',
+  'screen',
+  'placeholders',
+  'maxLength',
+  'references',
+  'confidence',
+  'matchType',
+  'verified',
+  'screenshots',
+];
+
+/**
+ * Returns the structured fields of the contexts as CSV columns, values of multiple contexts are put on separate lines
+ *
+ * @param {Array<NonNullable<ReturnType<typeof normalizeContext>>>} contexts
+ * @returns {Record<string, string>}
+ */
+function getContextCsvColumns(contexts) {
+  /** @param {(context: NonNullable<ReturnType<typeof normalizeContext>>) => string | undefined} getter */
+  const column = getter =>
+    contexts
+      .map(getter)
+      .filter(value => value)
+      .join('\n');
+
+  return {
+    elementType: column(c => c.elementType),
+    screen: column(c => c.screen),
+    placeholders: column(c => c.placeholders?.map(p => `${p.name} - ${p.meaning}`).join('; ')),
+    maxLength: column(c => (c.maxLength ? String(c.maxLength) : undefined)),
+    references: column(c => c.references?.join(', ')),
+    confidence: column(c => c.confidence),
+    matchType: column(c => c.matchType),
+    verified: column(c => (typeof c.verified === 'boolean' ? (c.verified ? 'yes' : 'no') : undefined)),
+    screenshots: column(c => c.screenshots?.join(', ')),
+  };
+}
+
+/**
+ * Checks whether the context confidence is below the required level, contexts without confidence are considered low confidence
+ *
+ * @param {NonNullable<ReturnType<typeof normalizeContext>>} context
+ * @param {string} minConfidence
+ */
+function isBelowConfidence(context, minConfidence) {
+  return CONFIDENCE_LEVELS.indexOf(context.confidence ?? 'low') < CONFIDENCE_LEVELS.indexOf(minConfidence);
+}
+
+export {
+  ELEMENT_TYPES,
+  CONFIDENCE_LEVELS,
+  MATCH_TYPES,
+  isBelowConfidence,
+  contextDetailsSchema,
+  normalizeContext,
+  renderContext,
+  CONTEXT_CSV_FIELDS,
+  getContextCsvColumns,
+};
@@ -1,14 +1,21 @@
 // @ts-nocheck
 import ora from 'ora';
 import chalk from 'chalk';
+import fs from 'fs';
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
 import { isToolMessage } from '@langchain/core/messages';
 import { ChatPromptTemplate } from '@langchain/core/prompts';
 import { createReactAgent } from '@langchain/langgraph/prebuilt';
-import { globTool, grepTool, lsTool, readTool } from './agent/tools/index.js';
+import { createImagesHook } from './agent/images.js';
+import { globTool, grepTool, lsTool, readTool, symbolsTool, gitTool, imageTool } from './agent/tools/index.js';
 import { SYSTEM_PROMPT } from './agent/prompts/system.js';
-import { getCrowdin, getPrompt, validateAiProviderFields, formatDuration, getChatModel } from './utils.js';
+import { runAgent } from './agent/run.js';
+import { getWorkingDir } from './agent/workspace.js';
+import { createRedactor, formatRedactionSummary } from './agent/redact.js';
+import { getCrowdin, getPrompt, validateAiProviderFields, formatDuration, getChatModel, supportsVision } from './utils.js';
+import { formatUsageSummary } from './pricing.js';
+import { getProvider } from './providers/index.js';
 
 const spinner = ora();
 
@@ -46,21 +53,38 @@ const returnDescriptionTool = tool(
   },
 );
 
-async function invokeAgent({ agent, prompt }) {
-  const result = await agent.invoke(prompt, { recursionLimit: 200 });
-  const lastMessage = result.messages[result.messages.length - 1];
-  const tokensUsed = result.messages.reduce((totalTokens, message) => totalTokens + (message.usage_metadata?.total_tokens ?? 0), 0);
-
-  if (!lastMessage || !isToolMessage(lastMessage) || lastMessage.name !== 'return_description' || lastMessage.content.length === 0) {
-    return { description: null, tokensUsed };
+async function invokeAgent({ agent, prompt, maxTokens, workingDir, redactor, maxImageKb }) {
+  const { messages, usage, aborted } = await runAgent({
+    agent,
+    prompt,
+    recursionLimit: 200,
+    isOverBudget: tokens => maxTokens > 0 && tokens > maxTokens,
+    configurable: { root: workingDir, redactor, maxImageKb },
+  });
+  const lastMessage = messages[messages.length - 1];
+
+  if (
+    aborted ||
+    !lastMessage ||
+    !isToolMessage(lastMessage) ||
+    lastMessage.name !== 'return_description' ||
+    lastMessage.content.length === 0
+  ) {
+    return { description: null, usage, aborted };
   }
 
-  return { description: lastMessage.content, tokensUsed };
+  return { description: lastMessage.content, usage, aborted };
 }
 
 function createAgentAndPrompt(options) {
   const llm = getChatModel(options);
-  const agent = createReactAgent({ llm, tools: [globTool, grepTool, lsTool, readTool, returnDescriptionTool] });
+  // the image tool is only offered to models that can look at images
+  const images = options.images !== false && supportsVision(options);
+  const agent = createReactAgent({
+    llm,
+    tools: [globTool, grepTool, lsTool, readTool, symbolsTool, gitTool, ...(images ? [imageTool] : []), returnDescriptionTool],
+    ...(images && { preModelHook: createImagesHook({ imagesInToolResults: Boolean(getProvider(options.ai)?.imagesInToolResults) }) }),
+  });
   const promptTemplate = ChatPromptTemplate.fromMessages([
     ['system', SYSTEM_PROMPT],
     ['user', getPrompt({ options, defaultPrompt: DEFAULT_USER_PROMPT })],
@@ -78,6 +102,11 @@ async function describeProject(_name, commandOptions, _command) {
       process.exit(1);
     }
 
+    if (options.root && !fs.existsSync(options.root)) {
+      console.error(`Directory ${options.root} doesn't exist, can't run with --root option`);
+      process.exit(1);
+    }
+
     validateAiProviderFields(options);
 
     const apiClient = await getCrowdin(options);
@@ -86,11 +115,29 @@ async function describeProject(_name, commandOptions, _command) {
     const { agent, promptTemplate } = createAgentAndPrompt(options);
     const prompt = await promptTemplate.invoke({
       model: options.model,
-      working_dir: process.cwd(),
+      working_dir: getWorkingDir(options),
       date: new Date().toISOString(),
     });
-    const { description } = await invokeAgent({ agent, prompt });
+    const redactor = createRedactor({ allow: options.redactAllow, deny: options.redactDeny });
+    const { description, usage, aborted } = await invokeAgent({
+      agent,
+      prompt,
+      maxTokens: Number(options.maxTokens) || 0,
+      workingDir: getWorkingDir(options),
+      redactor,
+      maxImageKb: Number(options.maxImageSize),
+    });
     spinner.succeed();
+    console.log(formatUsageSummary({ options, usage }));
+    const redactionSummary = formatRedactionSummary(redactor.getCounts());
+    if (redactionSummary) {
+      console.log(chalk.yellow(redactionSummary));
+    }
+
+    if (aborted) {
+      console.error(`Description generation was stopped because it exceeded --maxTokens (${options.maxTokens}).`);
+      process.exit(1);
+    }
 
     if (!description || description.trim().length === 0) {
       console.error('No description was generated.');
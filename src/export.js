@@ -0,0 +1,91 @@
+//@ts-check
+import fs from 'fs';
+import ora from 'ora';
+import chalk from 'chalk';
+import csv from 'csvtojson';
+import { loadResourceStrings, writeResourceContexts } from './resources/index.js';
+import { getWorkingDir } from './agent/workspace.js';
+
+const spinner = ora();
+
+/**
+ * Matches the CSV rows with the strings of the local files: by the "<file path>#<key>" ID harvest gives strings of
+ * local files, otherwise by the key when only one file has it (rows of strings harvested from Crowdin).
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.rows
+ * @param {Array<object>} param0.strings strings of the local files
+ * @returns {{ matched: Array<object>, unmatched: Array<object> }}
+ */
+function matchRows({ rows, strings }) {
+  const byId = new Map(strings.map(string => [string.id, string]));
+  const byKey = new Map();
+  for (const string of strings) {
+    byKey.set(string.identifier, [...(byKey.get(string.identifier) || []), string]);
+  }
+
+  const matched = [];
+  const unmatched = [];
+  for (const row of rows) {
+    const candidates = byKey.get(row.key) || [];
+    const string = byId.get(row.id) || (candidates.length === 1 ? candidates[0] : undefined);
+    if (string) {
+      matched.push({ ...string, aiContext: row.aiContext });
+    } else {
+      unmatched.push(row);
+    }
+  }
+  return { matched, unmatched };
+}
+
+async function exportContext(_name, commandOptions, _command) {
+  const options = commandOptions.opts();
+  if (options.root && !fs.existsSync(options.root)) {
+    console.error(`Directory ${options.root} doesn't exist, can't run with --root option`);
+    process.exit(1);
+  }
+  const workingDir = getWorkingDir(options);
+
+  try {
+    spinner.start(`Reading the CSV file...`);
+    const rows = (await csv().fromFile(options.csvFile))
+      .map(row => ({
+        id: row.id,
+        key: row.key,
+        aiContext: (row.aiContext || '').split('\n').filter(line => line.trim() !== ''),
+      }))
+      .filter(row => row.aiContext.length > 0);
+    spinner.succeed();
+
+    spinner.start(`Loading strings from ${chalk.green(options.sourceFiles)}...`);
+    const { strings, files, skipped } = loadResourceStrings({ pattern: options.sourceFiles, workingDir });
+    if (files.length === 0) {
+      spinner.fail(`No files match --sourceFiles="${options.sourceFiles}" in ${workingDir}`);
+      process.exit(1);
+    }
+    spinner.succeed(`Loaded ${strings.length} strings from ${files.length - skipped.length} files.`);
+    for (const { file, reason } of skipped) {
+      console.log(chalk.yellow(`Skipped ${file}: ${reason}`));
+    }
+
+    const { matched, unmatched } = matchRows({ rows, strings });
+    if (unmatched.length > 0) {
+      const ids = unmatched.slice(0, 20).map(row => row.id);
+      console.log(chalk.yellow(`${unmatched.length} strings are not in the local files or their key is not unique: ${ids.join(', ')}`));
+    }
+
+    spinner.start(`Writing the context to the local files...`);
+    const result = writeResourceContexts({ strings: matched, workingDir });
+    spinner.succeed();
+    for (const { file, reason } of result.skipped) {
+      console.log(chalk.yellow(`Skipped ${file}: ${reason}`));
+    }
+
+    console.log(`\n${result.updatedCount} strings updated in ${result.files.length} files.`);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+export default exportContext;
@@ -0,0 +1,178 @@
+//@ts-check
+import path from 'path';
+import { spawnSync } from 'child_process';
+import chalk from 'chalk';
+import { getWorkspace } from './agent/workspace.js';
+import { getSearchTerms } from './search.js';
+import { getAdapterPatterns, parseAdapterNames } from './adapters/index.js';
+
+const GIT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Runs git with the given arguments in the directory
+ *
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {string} git output
+ */
+function runGit(args, cwd) {
+  const proc = spawnSync('git', ['--no-pager', ...args], {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    timeout: GIT_TIMEOUT_MS,
+    // never wait for credentials or an editor
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' },
+  });
+  if (proc.error) {
+    throw new Error(`git not available: ${proc.error.message}`);
+  }
+  if (proc.status !== 0) {
+    // the command name follows the global options
+    throw new Error(`git ${args.find(arg => !arg.startsWith('-'))} failed: ${proc.stderr.trim()}`);
+  }
+  return proc.stdout;
+}
+
+/**
+ * @param {string} cwd
+ * @returns {boolean}
+ */
+function isGitRepository(cwd) {
+  try {
+    return runGit(['rev-parse', '--is-inside-work-tree'], cwd).trim() === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Commits, ranges and other revisions passed to git by the user or the AI, options are refused. So are "<rev>:<path>"
+ * revisions, they name the content of a file instead of a commit.
+ *
+ * @param {string} revision
+ */
+function isValidRevision(revision) {
+  return /^[\w./~^@{}-]+$/.test(revision) && !revision.startsWith('-');
+}
+
+/**
+ * Resolves a revision to the hash of its commit, throws if it is not valid or doesn't name a commit
+ *
+ * @param {string} revision
+ * @param {string} cwd
+ * @returns {string}
+ */
+function resolveCommit(revision, cwd) {
+  if (!isValidRevision(revision)) {
+    throw new Error(`Invalid commit: ${revision}`);
+  }
+  try {
+    return runGit(['rev-parse', '--verify', '--quiet', '--end-of-options', `${revision}^{commit}`], cwd).trim();
+  } catch {
+    throw new Error(`Unknown commit: ${revision}`);
+  }
+}
+
+/**
+ * Returns the added and removed lines of the files changed in the revision range (e.g. "main..HEAD" or "v1.2.0..v1.3.0"),
+ * by file relative to the working directory. Files outside of the working directory or excluded by the ignore rules
+ * are skipped.
+ *
+ * @param {object} param0
+ * @param {string} param0.range
+ * @param {string} param0.cwd
+ * @returns {Map<string, string[]>}
+ */
+function getChangedLines({ range, cwd }) {
+  if (!isValidRevision(range)) {
+    throw new Error(`Invalid git revision range: ${range}`);
+  }
+  if (!isGitRepository(cwd)) {
+    throw new Error(`${cwd} is not a git repository`);
+  }
+
+  const output = runGit(
+    ['diff', '--relative', '--unified=0', '--no-color', '--no-ext-diff', '--no-renames', '--src-prefix=a/', '--dst-prefix=b/', range, '--'],
+    cwd,
+  );
+
+  const workspace = getWorkspace(cwd);
+  /** @type {Map<string, string[]>} */
+  const changes = new Map();
+  /** @type {string[] | null} */
+  let lines = null;
+  let oldPath = '';
+  for (const line of output.split('\n')) {
+    if (line.startsWith('--- ')) {
+      oldPath = line.slice(4).replace(/^a\//, '');
+      continue;
+    }
+    if (line.startsWith('+++ ')) {
+      const newPath = line.slice(4).replace(/^b\//, '');
+      // deleted files have no new path
+      const file = newPath === '/dev/null' ? oldPath : newPath;
+      lines = workspace.isIgnored(path.resolve(cwd, file)) ? null : changes.get(file) || [];
+      if (lines) changes.set(file, lines);
+      continue;
+    }
+    if (line.startsWith('diff --git ')) {
+      lines = null;
+      continue;
+    }
+    if (lines && (line.startsWith('+') || line.startsWith('-'))) {
+      lines.push(line.slice(1));
+    }
+  }
+  return changes;
+}
+
+/**
+ * Checks whether one of the changed lines contains the string's key or text or matches its adapter search patterns
+ *
+ * @param {object} param0
+ * @param {object} param0.string
+ * @param {Map<string, string[]>} param0.changes
+ * @param {string[] | null} param0.adapterNames
+ */
+function isStringChanged({ string, changes, adapterNames }) {
+  const matchers = getSearchTerms(string).map(term => line => line.includes(term));
+  for (const pattern of getAdapterPatterns(string, adapterNames)) {
+    if (!pattern.regex) {
+      matchers.push(line => line.includes(pattern.term));
+      continue;
+    }
+    try {
+      const regex = new RegExp(pattern.term);
+      matchers.push(line => regex.test(line));
+    } catch {
+      // a pattern valid for ripgrep only, the key and text are still checked
+    }
+  }
+
+  for (const lines of changes.values()) {
+    if (lines.some(line => matchers.some(matches => matches(line)))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Returns only strings whose usages were added, changed or removed in the git revision range
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.strings
+ * @param {Map<string, string[]>} param0.changes changed lines of the range
+ * @param {object} param0.options
+ */
+function selectChangedStrings({ strings, changes, options }) {
+  const adapterNames = parseAdapterNames(options.adapters ?? 'auto');
+  const changed = strings.filter(string => isStringChanged({ string, changes, adapterNames }));
+  console.log(
+    `${chalk.green(changed.length)} of ${chalk.green(strings.length)} strings are used in the code changed in ${chalk.green(options.gitRange)} (${changes.size} files).`,
+  );
+  return changed;
+}
+
+export { runGit, isGitRepository, isValidRevision, resolveCommit, getChangedLines, selectChangedStrings };
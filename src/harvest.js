@@ -6,9 +6,7 @@ import path from 'path';
 import { Parser } from '@json2csv/plainjs';
 import ora from 'ora';
 import { table } from 'table';
-import { tool } from '@langchain/core/tools';
-import { z } from 'zod';
-import { HumanMessage, SystemMessage, isToolMessage } from '@langchain/core/messages';
+import { HumanMessage, SystemMessage, isAIMessage, isToolMessage } from '@langchain/core/messages';
 import { ChatPromptTemplate } from '@langchain/core/prompts';
 import { createReactAgent } from '@langchain/langgraph/prebuilt';
 import cliProgress from 'cli-progress';
@@ -22,55 +20,299 @@ import {
   formatTokens,
   formatDuration,
   getChatModel,
+  supportsVision,
 } from './utils.js';
+import { readJournal, rotateJournal, openJournal } from './journal.js';
+import { openTrace } from './trace.js';
+import { loadResourceStrings, writeResourceContexts } from './resources/index.js';
+import { loadContextCache } from './cache.js';
+import { formatUsageSummary } from './pricing.js';
+import { printHarvestPlan, excludeUnmatchedStrings } from './plan.js';
+import { findStringSnippets } from './search.js';
+import { getTouchedFiles, validateReferences } from './references.js';
+import { verifyStringInCode, parseNormalizationRules } from './verify.js';
+import { getChangedLines, selectChangedStrings } from './git.js';
+import { findScreenshots } from './screenshots.js';
+import { getProvider } from './providers/index.js';
+import { classifyError, formatErrorType, createAdaptiveConcurrency, sleep } from './retry.js';
+import { isBelowConfidence, normalizeContext, renderContext, CONTEXT_CSV_FIELDS, getContextCsvColumns } from './context.js';
 import { SYSTEM_PROMPT } from './agent/prompts/system.js';
-import { globTool, grepTool, lsTool, readTool } from './agent/tools/index.js';
+import { runAgent, getUsage } from './agent/run.js';
+import { getWorkingDir } from './agent/workspace.js';
+import { createRedactor, formatRedactionSummary } from './agent/redact.js';
+import { getAdapterPatterns, formatAdapterPatterns, parseAdapterNames } from './adapters/index.js';
+import { createImagesHook } from './agent/images.js';
+import {
+  globTool,
+  grepTool,
+  lsTool,
+  readTool,
+  symbolsTool,
+  gitTool,
+  imageTool,
+  returnContextTool,
+  returnContextsTool,
+} from './agent/tools/index.js';
+
+// how often a worker above the reduced concurrency limit checks whether it may continue
+const WORKER_WAIT_MS = 500;
+// failed strings listed in the summary
+const MAX_FAILED_STRINGS_LISTED = 20;
 
 const DEFAULT_USER_PROMPT = `Please, extract the context from the code for the following string.
 
 - Context is useful information for linguists or an AI translating these texts about how the text is used in the project they are localizing or when it appears in the UI.
 - Provide context for string only if exact match of the string's text or string's key are found in the code.
-- To set context for string call the return_context tool.
+- To set context for string call the return_context tool. When evident from the code, also fill its structured fields: UI element type, screen or feature, placeholders and their meaning and maximum length.
+- Set the confidence of the context and how the string was found in the code (exact key match, exact text match or fuzzy match).
+- List the code locations your context is based on as references ("path:line", relative to the working directory). Only use locations you have actually seen in the search results or files you read. If a commit message explains the string, also cite the commit ("commit:<hash>").
 
 String:
 {string}`;
 
-const returnContextTool = tool(
-  input => {
-    return typeof input?.context === 'string' ? input.context.trim() : '';
-  },
-  {
-    name: 'return_context',
-    description: 'Return context text for the current string.',
-    schema: z.object({
-      context: z.string().optional().describe('Context text'),
-    }),
-    returnDirect: true,
-  },
-);
+const DEFAULT_BATCH_USER_PROMPT = `Please, extract the context from the code for each of the following strings.
+
+- Context is useful information for linguists or an AI translating these texts about how the text is used in the project they are localizing or when it appears in the UI.
+- Provide context for a string only if exact match of the string's text or string's key are found in the code.
+- The strings come from the same file and usually from the same feature, files relevant for one string are likely relevant for the others.
+- When done, call the return_contexts tool once with the contexts of all strings you found context for, identified by their ids. When evident from the code, also fill the structured fields of every context: UI element type, screen or feature, placeholders and their meaning and maximum length.
+- Set the confidence of every context and how the string was found in the code (exact key match, exact text match or fuzzy match).
+- List the code locations every context is based on as references ("path:line", relative to the working directory). Only use locations you have actually seen in the search results or files you read. If a commit message explains the string, also cite the commit ("commit:<hash>").
+
+Strings:
+{strings}`;
 
 const spinner = ora();
 
-async function invokeAgent({ agent, prompt }) {
-  const result = await agent.invoke(prompt, { recursionLimit: 100 });
-  const lastMessage = result.messages[result.messages.length - 1];
-  const tokensUsed = result.messages.reduce((totalTokens, message) => totalTokens + (message.usage_metadata?.total_tokens ?? 0), 0);
+/**
+ * Returns paths of all files the agent requested with the read tool
+ *
+ * @param {Array<object>} messages
+ * @returns {string[]}
+ */
+function getFilesRead(messages) {
+  const files = new Set();
+  for (const message of messages) {
+    if (!isAIMessage(message)) continue;
+    for (const toolCall of message.tool_calls || []) {
+      if (toolCall.name === readTool.name && typeof toolCall.args?.path === 'string') {
+        files.add(toolCall.args.path);
+      }
+    }
+  }
+  return [...files];
+}
+
+/**
+ * Runs the agent and returns the output of the tool that ended the run, null if the agent ended without calling it
+ *
+ * @param {object} param0
+ * @param {object} param0.agent
+ * @param {object} param0.prompt
+ * @param {string} param0.workingDir
+ * @param {(tokensUsed: number) => boolean} [param0.isOverBudget]
+ * @param {string} [param0.returnToolName]
+ * @param {object} [param0.redactor] masks secrets in the tool output
+ * @param {object} [param0.configurable]
+ * @param {ReturnType<typeof openTrace>} [param0.trace] transcript of the run, closed when the run ends
+ */
+async function invokeAgent({
+  agent,
+  prompt,
+  workingDir,
+  isOverBudget,
+  returnToolName = returnContextTool.name,
+  redactor,
+  configurable,
+  trace,
+}) {
+  let run;
+  try {
+    run = await runAgent({
+      agent,
+      prompt,
+      recursionLimit: 100,
+      isOverBudget,
+      // tools are confined to the working directory
+      configurable: { root: workingDir, redactor, ...configurable },
+      onMessages: trace?.messages,
+    });
+  } catch (error) {
+    trace?.end({ error: String(error?.message || error) });
+    throw error;
+  }
+  const { messages, usage, aborted } = run;
+  const lastMessage = messages[messages.length - 1];
+  const filesRead = getFilesRead(messages);
+  const touchedFiles = getTouchedFiles({ messages, workingDir });
 
-  if (!lastMessage || !isToolMessage(lastMessage) || lastMessage.name !== 'return_context' || lastMessage.content.length === 0) {
-    return { context: null, tokensUsed };
+  if (aborted || !lastMessage || !isToolMessage(lastMessage) || lastMessage.name !== returnToolName || lastMessage.content.length === 0) {
+    trace?.end({ usage, aborted });
+    return { output: null, usage, filesRead, touchedFiles, aborted };
   }
 
-  return { context: lastMessage.content, tokensUsed };
+  trace?.end({ output: lastMessage.content, usage, aborted });
+  return { output: lastMessage.content, usage, filesRead, touchedFiles, aborted };
 }
 
-function createAgentAndPrompt(options) {
-  const llm = getChatModel(options);
-  const agent = createReactAgent({ llm, tools: [globTool, grepTool, lsTool, readTool, returnContextTool] });
+function isBatchMode(options) {
+  return Number(options.batchSize) > 1;
+}
+
+/**
+ * @param {object} options
+ * @param {object} [param1]
+ * @param {(error: ReturnType<typeof classifyError>, delayMs: number) => void} [param1.onRetry] called before a model call is retried
+ */
+function createAgentAndPrompt(options, { onRetry } = {}) {
+  const llm = getChatModel(options, { onRetry });
+  const batchMode = isBatchMode(options);
+  // the image tool is only offered to models that can look at images
+  const images = options.images !== false && supportsVision(options);
+  const tools = [
+    globTool,
+    grepTool,
+    lsTool,
+    readTool,
+    symbolsTool,
+    gitTool,
+    ...(images ? [imageTool] : []),
+    batchMode ? returnContextsTool : returnContextTool,
+  ];
+  const agent = createReactAgent({
+    llm,
+    tools,
+    ...(images && { preModelHook: createImagesHook({ imagesInToolResults: Boolean(getProvider(options.ai)?.imagesInToolResults) }) }),
+  });
+  const userPrompt = getPrompt({ options, defaultPrompt: batchMode ? DEFAULT_BATCH_USER_PROMPT : DEFAULT_USER_PROMPT });
   const promptTemplate = ChatPromptTemplate.fromMessages([
     ['system', SYSTEM_PROMPT],
-    ['user', getPrompt({ options, defaultPrompt: DEFAULT_USER_PROMPT })],
+    ['user', userPrompt],
   ]);
-  return { agent, promptTemplate };
+  return { agent, promptTemplate, tools, userPrompt };
+}
+
+/**
+ * Returns the key prefix used to keep strings of the same component together, e.g. "settings.profile" for "settings.profile.title"
+ *
+ * @param {object} string
+ */
+function getKeyPrefix(string) {
+  const identifier = String(string.identifier ?? '');
+  const separatorIndex = Math.max(...['.', ':', '/', '_'].map(separator => identifier.lastIndexOf(separator)));
+  return separatorIndex > 0 ? identifier.slice(0, separatorIndex) : '';
+}
+
+/**
+ * Groups strings into batches of strings from the same Crowdin file (or branch), ordered by the key prefix
+ *
+ * @param {Array<object>} strings
+ * @param {number} batchSize
+ * @returns {Array<Array<object>>}
+ */
+function createBatches(strings, batchSize) {
+  const byContainer = new Map();
+  for (const string of strings) {
+    const container = string.fileId ?? string.branchId ?? '';
+    if (!byContainer.has(container)) {
+      byContainer.set(container, []);
+    }
+    byContainer.get(container).push(string);
+  }
+
+  const batches = [];
+  for (const containerStrings of byContainer.values()) {
+    const sorted = [...containerStrings].sort((a, b) => getKeyPrefix(a).localeCompare(getKeyPrefix(b)));
+    for (let i = 0; i < sorted.length; i += batchSize) {
+      batches.push(sorted.slice(i, i + batchSize));
+    }
+  }
+  return batches;
+}
+
+/**
+ * Formats the code snippets found by the pre-search pass for the prompt
+ *
+ * @param {Array<object>} snippets
+ * @param {object} [redactor]
+ */
+function formatPreSearchResults(snippets, redactor) {
+  if (snippets.length === 0) {
+    return `\n\nA local search found no exact matches of the string's key or text in the code.`;
+  }
+
+  const sections = snippets.map(snippet => {
+    const lines = snippet.lines.map(({ line, text }) => `${String(line).padStart(6, ' ')}|${text}`).join('\n');
+    const redactedLines = redactor ? redactor.redact(lines, snippet.path) : lines;
+    return `${snippet.path}:${snippet.line}\n\`\`\`\n${redactedLines}\n\`\`\``;
+  });
+
+  return `\n\nMatches of the string's key, text or search patterns found by a local search (use them as a starting point):\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * Returns the string as passed to the prompt, followed by the search patterns of its localization framework and
+ * the pre-search results unless disabled, and the files of the pre-search results
+ *
+ * @param {object} param0
+ * @param {object} param0.string
+ * @param {object} param0.options
+ * @param {string} param0.workingDir
+ * @param {object} [param0.redactor]
+ * @returns {{ value: string, files: string[] }}
+ */
+function getStringPromptValue({ string, options, workingDir, redactor }) {
+  const patterns = getAdapterPatterns(string, parseAdapterNames(options.adapters ?? 'auto'));
+  const value = stringifyString({ string }) + formatAdapterPatterns(patterns);
+  if (!options.preSearch) {
+    return { value, files: [] };
+  }
+
+  try {
+    const snippets = findStringSnippets({ string, cwd: workingDir, limit: Number(options.preSearchLimit), patterns });
+    return { value: value + formatPreSearchResults(snippets, redactor), files: snippets.map(snippet => snippet.path) };
+  } catch (err) {
+    // the agent can still search the code itself
+    return { value, files: [] };
+  }
+}
+
+/**
+ * Drops code references pointing to files the agent has not seen or to lines that do not exist
+ *
+ * @param {object} param0
+ * @param {object | null} param0.context
+ * @param {Set<string>} param0.touchedFiles
+ * @param {string} param0.workingDir
+ * @returns {{ context: object | null, rejectedReferencesCount: number }}
+ */
+function checkReferences({ context, touchedFiles, workingDir }) {
+  if (!context?.references) {
+    return { context, rejectedReferencesCount: 0 };
+  }
+
+  const { valid, rejected } = validateReferences({ references: context.references, touchedFiles, workingDir });
+  const { references, ...rest } = context;
+  return { context: valid.length > 0 ? { ...rest, references: valid } : rest, rejectedReferencesCount: rejected.length };
+}
+
+/**
+ * Checks that the string's key or text really appears in the working tree. Depending on the verify mode
+ * a context of a string that is not found is marked as unverified or dropped.
+ *
+ * @param {object} param0
+ * @param {object} param0.context
+ * @param {object} param0.string
+ * @param {string} param0.workingDir
+ * @param {object} param0.options
+ * @returns {{ context: object | null, verified: boolean }}
+ */
+function verifyContext({ context, string, workingDir, options }) {
+  const verified = verifyStringInCode({ string, cwd: workingDir, rules: parseNormalizationRules(options.verifyNormalize) });
+  if (!verified && options.verify === 'discard') {
+    return { context: null, verified };
+  }
+  return { context: { ...context, verified }, verified };
 }
 
 function createProgressBar() {
@@ -81,27 +323,144 @@ function createProgressBar() {
   return bar;
 }
 
-async function processSingleString({ agent, promptTemplate, workingDir, options, string }) {
+async function processSingleString({ agent, promptTemplate, tools, workingDir, options, string, cache, isOverBudget, redactor }) {
   try {
-    const prompt = await promptTemplate.invoke({
+    const cachedContext = normalizeContext(cache?.lookup(string));
+    if (cachedContext) {
+      return { id: string.id, context: cachedContext, usage: getUsage([]), cached: true };
+    }
+
+    const stringValue = getStringPromptValue({ string, options, workingDir, redactor });
+    const variables = {
       model: options.model,
       working_dir: workingDir,
       date: new Date().toISOString(),
-      string: stringifyString({ string }),
+      string: stringValue.value,
+    };
+    const prompt = await promptTemplate.invoke(variables);
+    const { output, usage, filesRead, touchedFiles, aborted } = await invokeAgent({
+      agent,
+      prompt,
+      workingDir,
+      isOverBudget,
+      redactor,
+      configurable: { maxImageKb: Number(options.maxImageSize) },
+      trace: options.traceDir ? openTrace({ traceDir: options.traceDir, stringIds: [string.id], tools, variables, options }) : undefined,
+    });
+    stringValue.files.forEach(file => touchedFiles.add(file));
+    const { context, rejectedReferencesCount } = checkReferences({
+      context: output ? normalizeContext(JSON.parse(output)) : null,
+      touchedFiles,
+      workingDir,
     });
-    const { context, tokensUsed } = await invokeAgent({ agent, prompt });
-    return { id: string.id, context, tokensUsed };
+    if (!aborted) {
+      cache?.store(string, { context, filesRead });
+    }
+    return { id: string.id, context, usage, aborted, rejectedReferencesCount };
   } catch (err) {
-    console.log(`\nError during processing string: ${err.message}`);
-    return { id: string.id, context: null, tokensUsed: 0 };
+    const error = classifyError(err);
+    console.log(`\nError during processing string (${formatErrorType(error.type)}): ${error.message}`);
+    return { id: string.id, context: null, usage: getUsage([]), failed: true, error };
   }
 }
 
-async function runConcurrentWorkers({ items, concurrency, worker }) {
+/**
+ * Finds contexts for a batch of strings in a single agent run
+ *
+ * @param {object} param0
+ * @param {object} param0.agent
+ * @param {object} param0.promptTemplate
+ * @param {Array<object>} param0.tools tools of the agent, recorded in the transcript
+ * @param {string} param0.workingDir
+ * @param {object} param0.options
+ * @param {Array<object>} param0.strings
+ * @param {object} [param0.cache]
+ * @param {(tokensUsed: number) => boolean} [param0.isOverBudget]
+ * @param {object} [param0.redactor]
+ */
+async function processStringBatch({ agent, promptTemplate, tools, workingDir, options, strings, cache, isOverBudget, redactor }) {
+  const results = [];
+  const stringsToHarvest = [];
+  for (const string of strings) {
+    const cachedContext = normalizeContext(cache?.lookup(string));
+    if (cachedContext) {
+      results.push({ id: string.id, context: cachedContext, cached: true });
+    } else {
+      stringsToHarvest.push(string);
+    }
+  }
+
+  if (stringsToHarvest.length === 0) {
+    return { results, usage: getUsage([]) };
+  }
+
+  try {
+    const stringValues = stringsToHarvest.map(string => getStringPromptValue({ string, options, workingDir, redactor }));
+    const stringsValue = stringValues.map(stringValue => stringValue.value).join('\n\n');
+    const variables = {
+      model: options.model,
+      working_dir: workingDir,
+      date: new Date().toISOString(),
+      strings: stringsValue,
+      string: stringsValue,
+    };
+    const prompt = await promptTemplate.invoke(variables);
+    const stringIds = stringsToHarvest.map(string => string.id);
+    const { output, usage, filesRead, touchedFiles, aborted } = await invokeAgent({
+      agent,
+      prompt,
+      workingDir,
+      isOverBudget,
+      returnToolName: returnContextsTool.name,
+      redactor,
+      configurable: { requestedIds: stringIds, maxImageKb: Number(options.maxImageSize) },
+      trace: options.traceDir ? openTrace({ traceDir: options.traceDir, stringIds, tools, variables, options }) : undefined,
+    });
+
+    const contexts = new Map((output ? JSON.parse(output) : []).map(item => [item.id, item.context]));
+    stringValues.forEach(stringValue => stringValue.files.forEach(file => touchedFiles.add(file)));
+    for (const string of stringsToHarvest) {
+      const { context, rejectedReferencesCount } = checkReferences({
+        context: contexts.get(String(string.id)) ?? null,
+        touchedFiles,
+        workingDir,
+      });
+      if (!aborted) {
+        cache?.store(string, { context, filesRead });
+      }
+      results.push({ id: string.id, context, aborted, rejectedReferencesCount });
+    }
+    return { results, usage };
+  } catch (err) {
+    const error = classifyError(err);
+    console.log(`\nError during processing strings (${formatErrorType(error.type)}): ${error.message}`);
+    return {
+      results: [...results, ...stringsToHarvest.map(string => ({ id: string.id, context: null, failed: true, error }))],
+      usage: getUsage([]),
+    };
+  }
+}
+
+/**
+ * Processes items with concurrent workers. With `getLimit` only the workers below the current limit take new items,
+ * the others wait until the limit grows again.
+ *
+ * @param {object} param0
+ * @param {Array<any>} param0.items
+ * @param {number} param0.concurrency
+ * @param {(item: any) => Promise<void>} param0.worker
+ * @param {() => boolean} [param0.shouldStop] checked before every item, no new items are scheduled once it returns true
+ * @param {() => number} [param0.getLimit] current number of active workers, at most `concurrency`
+ */
+async function runConcurrentWorkers({ items, concurrency, worker, shouldStop, getLimit }) {
   let cursor = 0;
-  const workers = Array.from({ length: Math.max(1, concurrency) }, async () => {
+  const workers = Array.from({ length: Math.max(1, concurrency) }, async (_, index) => {
     while (true) {
-      if (cursor >= items.length) return;
+      if (cursor >= items.length || shouldStop?.()) return;
+      if (index > 0 && getLimit && index >= getLimit()) {
+        await sleep(WORKER_WAIT_MS);
+        continue;
+      }
       const currentIndex = cursor++;
       await worker(items[currentIndex]);
     }
@@ -109,43 +468,241 @@ async function runConcurrentWorkers({ items, concurrency, worker }) {
   await Promise.all(workers);
 }
 
-async function extractContexts({ strings, options }) {
+/**
+ * Runs the agent for every string and collects the found contexts.
+ * Every outcome is appended to the checkpoint journal as soon as it is known, strings already present in the
+ * resumed journal are not processed again and their recorded outcome is merged into the results.
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.strings
+ * @param {object} param0.options
+ * @param {Map<number | string, object>} [param0.resumed] outcomes recorded by a previous run
+ */
+async function extractContexts({ strings, options, resumed = new Map() }) {
   const concurrency = Number(options.concurrency);
-  const workingDir = process.cwd();
-  let totalTokensUsed = 0;
+  const workingDir = getWorkingDir(options);
+  const maxTokens = Number(options.maxTokens) || 0;
+  const maxTokensPerString = Number(options.maxTokensPerString) || 0;
+  const usage = getUsage([]);
   const bar = createProgressBar();
-  const { agent, promptTemplate } = createAgentAndPrompt(options);
+  const redactor = createRedactor({ allow: options.redactAllow, deny: options.redactDeny });
+  const adaptiveConcurrency = createAdaptiveConcurrency(concurrency);
+  let retriesCount = 0;
+  const { agent, promptTemplate, tools, userPrompt } = createAgentAndPrompt(options, {
+    onRetry: error => {
+      retriesCount++;
+      if (error.type === 'rate_limit') {
+        adaptiveConcurrency.throttle();
+      }
+    },
+  });
+  // contexts harvested with another model or prompt are not reused
+  const cache = options.cacheFile
+    ? loadContextCache({
+        cacheFile: options.cacheFile,
+        workingDir,
+        settings: {
+          ai: options.ai,
+          model: options.model,
+          prompt: [SYSTEM_PROMPT, userPrompt],
+          preSearch: options.preSearch && Number(options.preSearchLimit),
+          adapters: options.adapters,
+        },
+      })
+    : undefined;
 
   const results = [];
+  /** @type {Array<{ id: number | string, error: ReturnType<typeof classifyError> }>} */
+  const failedStrings = [];
+  /** @type {ReturnType<typeof classifyError> | undefined} */
+  let fatalError;
   let withoutContextCount = 0;
-  const total = strings.length;
+  let cacheHitsCount = 0;
+  let abortedCount = 0;
+  let rejectedReferencesCount = 0;
+  let unverifiedCount = 0;
+  let screenshotsCount = 0;
+  let processedCount = 0;
+  let budgetExceeded = false;
+
+  // usage of the strings in flight is not known to each other, so the run may slightly overshoot --maxTokens
+  const isOverBudget = (tokens, stringsCount) =>
+    (maxTokensPerString > 0 && tokens > maxTokensPerString * stringsCount) || (maxTokens > 0 && usage.totalTokens + tokens > maxTokens);
+
+  const pending = [];
+  for (const string of strings) {
+    const record = resumed.get(string.id);
+    if (!record) {
+      pending.push(string);
+    } else if (normalizeContext(record.context)) {
+      results.push({ id: record.id, context: normalizeContext(record.context) });
+    } else {
+      withoutContextCount++;
+    }
+  }
+
+  if (pending.length < strings.length) {
+    console.log(
+      `Resuming: ${chalk.green(strings.length - pending.length)} strings already processed, ${chalk.green(pending.length)} left.`,
+    );
+  }
+
+  const previousJournal = options.resume ? null : rotateJournal(options.journal);
+  if (previousJournal) {
+    console.log(
+      chalk.yellow(`The journal of the previous run was moved to ${previousJournal}, continue that run with --resume=${previousJournal}.`),
+    );
+  }
+  const journal = openJournal(options.resume || options.journal, { resume: !!options.resume });
+  const total = pending.length;
   bar.start(total, 0, { tokens: formatTokens(0) });
 
-  await runConcurrentWorkers({
-    items: strings,
-    concurrency,
-    worker: async s => {
-      const { id, context, tokensUsed } = await processSingleString({ agent, promptTemplate, workingDir, options, string: s });
-      totalTokensUsed += tokensUsed || 0;
-      if (context) {
-        results.push({ id, context });
-      } else {
-        withoutContextCount++;
-      }
-      bar.increment(1, { tokens: formatTokens(totalTokensUsed) });
-    },
-  });
+  try {
+    await runConcurrentWorkers({
+      items: createBatches(pending, isBatchMode(options) ? Number(options.batchSize) : 1),
+      concurrency,
+      shouldStop: () => budgetExceeded || !!fatalError,
+      getLimit: () => adaptiveConcurrency.limit,
+      worker: async batch => {
+        const params = {
+          agent,
+          promptTemplate,
+          tools,
+          workingDir,
+          options,
+          cache,
+          redactor,
+          isOverBudget: tokens => isOverBudget(tokens, batch.length),
+        };
+        let batchResult;
+        if (isBatchMode(options)) {
+          batchResult = await processStringBatch({ ...params, strings: batch });
+        } else {
+          const result = await processSingleString({ ...params, string: batch[0] });
+          batchResult = { results: [result], usage: result.usage };
+        }
+
+        usage.inputTokens += batchResult.usage.inputTokens;
+        usage.outputTokens += batchResult.usage.outputTokens;
+        usage.totalTokens += batchResult.usage.totalTokens;
+        if (maxTokens > 0 && usage.totalTokens >= maxTokens) {
+          budgetExceeded = true;
+        }
+
+        for (const { id, failed, error, cached, aborted, ...result } of batchResult.results) {
+          let context = result.context;
+          processedCount++;
+          if (failed) {
+            failedStrings.push({ id, error });
+            // e.g. an invalid API key, the following strings would fail the same way
+            if (error?.fatal) {
+              fatalError = error;
+            }
+            continue;
+          }
+          if (context && ['flag', 'discard'].includes(options.verify)) {
+            const verification = verifyContext({ context, string: batch.find(s => s.id === id), workingDir, options });
+            context = verification.context;
+            if (!verification.verified) {
+              unverifiedCount++;
+            }
+          }
+          if (context && options.screenshots) {
+            const screenshots = findScreenshots({ context, workingDir });
+            if (screenshots.length > 0) {
+              context = { ...context, screenshots };
+              screenshotsCount++;
+            }
+          }
+          rejectedReferencesCount += result.rejectedReferencesCount || 0;
+          if (cached) {
+            cacheHitsCount++;
+          }
+          if (aborted) {
+            abortedCount++;
+          }
+          // failed strings and strings stopped by the run budget are not recorded, so they are retried when the run is resumed
+          if (!(aborted && budgetExceeded)) {
+            journal.append({ id, context, tokensUsed: Math.round(batchResult.usage.totalTokens / batchResult.results.length) });
+          }
+          if (context) {
+            results.push({ id, context });
+          } else {
+            withoutContextCount++;
+          }
+        }
+        adaptiveConcurrency.recover();
+        bar.increment(batch.length, { tokens: formatTokens(usage.totalTokens) });
+      },
+    });
+  } finally {
+    bar.stop();
+    journal.close();
+    cache?.save();
+  }
 
-  bar.stop();
-  return { contexts: results, withoutContextCount };
+  return {
+    contexts: results,
+    withoutContextCount,
+    cacheHitsCount,
+    abortedCount,
+    rejectedReferencesCount,
+    unverifiedCount,
+    screenshotsCount,
+    redactions: redactor.getCounts(),
+    skippedCount: pending.length - processedCount,
+    failedStrings,
+    fatalError,
+    retriesCount,
+    throttleCount: adaptiveConcurrency.throttleCount,
+    finalConcurrency: adaptiveConcurrency.limit,
+    usage,
+  };
+}
+
+/**
+ * Prints the strings the AI provider failed for, grouped by the error type. They are not recorded in the journal,
+ * so a resumed run processes them again.
+ *
+ * @param {Array<object>} strings
+ * @param {Array<{ id: number | string, error: ReturnType<typeof classifyError> }>} failedStrings
+ * @param {object} options
+ */
+function printFailedStrings(strings, failedStrings, options) {
+  const stringsById = new Map(strings.map(string => [string.id, string]));
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  for (const { error } of failedStrings) {
+    const label = formatErrorType(error?.type ?? 'other');
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  console.log(chalk.red(`Failed strings (${[...counts].map(([label, count]) => `${label}: ${count}`).join(', ')}):`));
+  for (const { id, error } of failedStrings.slice(0, MAX_FAILED_STRINGS_LISTED)) {
+    const string = stringsById.get(id);
+    const name = String(string?.identifier || string?.text || '').slice(0, 60);
+    const message = String(error?.message ?? '')
+      .split('\n')[0]
+      .slice(0, 200);
+    console.log(`  ${id} ${chalk.gray(name)} - ${formatErrorType(error?.type ?? 'other')}: ${message}`);
+  }
+  if (failedStrings.length > MAX_FAILED_STRINGS_LISTED) {
+    console.log(`  ... and ${failedStrings.length - MAX_FAILED_STRINGS_LISTED} more`);
+  }
+  if (failedStrings.some(({ error }) => error?.type === 'context_length')) {
+    console.log(
+      chalk.yellow('Strings with a too long context may succeed with a smaller --batchSize or a model with a larger context window.'),
+    );
+  }
+  console.log(chalk.yellow(`Run again with --resume=${options.resume || options.journal} to retry the failed strings.`));
 }
 
 /**
  * Prints the strings that would be updated in a dry run
  *
  * @param {Array<object>} strings
+ * @param {boolean} [forReview] the strings are low confidence or unverified results, which would not be updated
  */
-function dryRunPrint(strings) {
+function dryRunPrint(strings, forReview = false) {
   const stringsWithAiContext = strings.filter(string => string.aiContext);
 
   const terminalWidth = cliWidth();
@@ -158,7 +715,7 @@ function dryRunPrint(strings) {
   const config = {
     header: {
       alignment: 'center',
-      content: 'Strings with AI Context',
+      content: forReview ? 'Strings with AI Context for review' : 'Strings with AI Context',
     },
     columns: [
       {
@@ -190,6 +747,11 @@ function dryRunPrint(strings) {
   //@ts-ignore
   console.log(table(data, config));
 
+  if (forReview) {
+    console.log(`\n${stringsWithAiContext.length} strings have AI context for review and would not be updated.`);
+    return;
+  }
+
   console.log(
     `\n${stringsWithAiContext.length} strings would be updated. Please be aware that an LLM model may return different results for the same input next time you run the tool.`,
   );
@@ -200,10 +762,9 @@ function dryRunPrint(strings) {
  *
  * @param {object} options
  * @param {Array<object>} strings
+ * @param {string} [csvFile]
  */
-function writeCsv(options, strings) {
-  const csvFile = options.csvFile;
-
+function writeCsv(options, strings, csvFile = options.csvFile) {
   const stringsWithAiContext = strings.filter(string => string.aiContext);
 
   const data = stringsWithAiContext.map(string => {
@@ -213,6 +774,7 @@ function writeCsv(options, strings) {
       text: string.text,
       context: string.context,
       aiContext: string.aiContext.join('\n'),
+      ...getContextCsvColumns(string.aiContextDetails || []),
     };
   });
 
@@ -222,7 +784,7 @@ function writeCsv(options, strings) {
   }
 
   try {
-    const parser = new Parser({ fields: ['id', 'key', 'text', 'context', 'aiContext'] });
+    const parser = new Parser({ fields: ['id', 'key', 'text', 'context', 'aiContext', ...CONTEXT_CSV_FIELDS] });
     const csv = parser.parse(data);
 
     fs.writeFileSync(csvFile, csv);
@@ -239,8 +801,9 @@ function writeCsv(options, strings) {
  *
  * @param {Array<object>} strings
  * @param {object} [stringsContext]
+ * @param {object} [options]
  */
-async function appendContext(strings, stringsContext) {
+async function appendContext(strings, stringsContext, options = {}) {
   for (const context of stringsContext?.contexts || []) {
     const string = strings.find(s => s.id === context.id);
 
@@ -248,12 +811,57 @@ async function appendContext(strings, stringsContext) {
       if (!string.aiContext) {
         string.aiContext = [];
       }
+      if (!string.aiContextDetails) {
+        string.aiContextDetails = [];
+      }
 
-      string.aiContext.push(context.context);
+      string.aiContext.push(renderContext(context.context, { includeReferences: !!options.referencesInContext }));
+      string.aiContextDetails.push(context.context);
     }
   }
 }
 
+/**
+ * Splits strings into strings whose AI context can be saved and strings for review:
+ * strings with AI context below the required confidence or flagged by the verification pass
+ *
+ * @param {Array<object>} strings
+ * @param {string} [minConfidence]
+ */
+function splitForReview(strings, minConfidence) {
+  const accepted = [];
+  const review = [];
+  for (const string of strings) {
+    if (
+      string.aiContextDetails?.some(context => context.verified === false || (minConfidence && isBelowConfidence(context, minConfidence)))
+    ) {
+      review.push(string);
+    } else {
+      accepted.push(string);
+    }
+  }
+  return { accepted, review };
+}
+
+/**
+ * Loads the strings of the local resource files matching --sourceFiles instead of the Crowdin strings
+ *
+ * @param {object} options
+ */
+function getSourceStrings(options) {
+  spinner.start(`Loading strings from ${chalk.green(options.sourceFiles)}...`);
+  const { strings, files, skipped } = loadResourceStrings({ pattern: options.sourceFiles, workingDir: getWorkingDir(options) });
+  if (files.length === 0) {
+    spinner.fail(`No files match --sourceFiles="${options.sourceFiles}" in ${getWorkingDir(options)}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Loaded ${strings.length} strings from ${files.length - skipped.length} files.`);
+  for (const { file, reason } of skipped) {
+    console.log(chalk.yellow(`Skipped ${file}: ${reason}`));
+  }
+  return strings;
+}
+
 // main function that orchestrates the context extraction process
 async function harvest(_name, commandOptions, _command) {
   const startedAt = Date.now();
@@ -271,36 +879,86 @@ async function harvest(_name, commandOptions, _command) {
       }
     }
 
-    if (!['terminal', 'csv', 'crowdin'].includes(options.output)) {
-      console.error('Wrong value provided for --output option. terminal, csv and crowdin values are available.');
+    if (options.sourceFiles && options.output === 'crowdin') {
+      console.error(
+        `--output=crowdin can't be used with --sourceFiles, the strings are not in Crowdin yet. Save the context with --output=csv and upload it once the strings are uploaded.`,
+      );
+      process.exit(1);
+    }
+
+    if (options.output === 'source' && !options.sourceFiles) {
+      console.error(`--output=source can only be used with --sourceFiles, the context is written to the files the strings come from.`);
+      process.exit(1);
+    }
+
+    if (options.root && !fs.existsSync(options.root)) {
+      console.error(`Directory ${options.root} doesn't exist, can't run with --root option`);
+      process.exit(1);
+    }
+
+    if (options.resume && !fs.existsSync(options.resume)) {
+      console.error(`Journal file ${options.resume} doesn't exist, can't run with --resume option`);
+      process.exit(1);
+    }
+
+    // read before loading the strings, so an invalid range fails fast
+    let gitChanges;
+    if (options.gitRange) {
+      try {
+        gitChanges = getChangedLines({ range: options.gitRange, cwd: getWorkingDir(options) });
+      } catch (error) {
+        console.error(`Error reading the git history, can't run with --gitRange option: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
+    if (!['terminal', 'csv', 'crowdin', 'source'].includes(options.output)) {
+      console.error('Wrong value provided for --output option. terminal, csv, crowdin and source values are available.');
       process.exit();
     }
 
-    validateAiProviderFields(options);
+    // the plan does not call the AI provider, so its credentials are not needed
+    if (!options.plan) {
+      validateAiProviderFields(options);
+    }
 
     if (options.croql && options.crowdinFiles && options.crowdinFiles !== '**/*.*') {
       console.log(chalk.yellow(`Note: --crowdinFiles is ignored when --croql is set; CROQL selects strings project-wide.`));
     }
 
-    const apiClient = await getCrowdin(options);
+    // strings of local resource files are harvested without Crowdin
+    const apiClient = options.sourceFiles ? undefined : await getCrowdin(options);
 
-    const strings = await getCrowdinStrings({
-      spinner,
-      options,
-      apiClient,
-    });
+    const crowdinStrings =
+      options.sourceFiles && !options.append
+        ? getSourceStrings(options)
+        : await getCrowdinStrings({
+            spinner,
+            options,
+            apiClient,
+          });
+    const strings = gitChanges ? selectChangedStrings({ strings: crowdinStrings, changes: gitChanges, options }) : crowdinStrings;
+
+    if (options.plan) {
+      printHarvestPlan({ strings, options, workingDir: getWorkingDir(options) });
+      return;
+    }
 
     let stringsContext = {};
 
     try {
-      stringsContext = await extractContexts({ strings, options });
+      const resumed = options.resume ? readJournal(options.resume) : undefined;
+      const stringsToHarvest = options.skipUnmatched
+        ? excludeUnmatchedStrings({ strings, options, workingDir: getWorkingDir(options) })
+        : strings;
+      stringsContext = await extractContexts({ strings: stringsToHarvest, options, resumed });
     } catch (e) {
       console.log('\nError during context extraction');
       console.error(e);
     }
 
     try {
-      await appendContext(strings, stringsContext);
+      await appendContext(strings, stringsContext, options);
     } catch (error) {
       console.log('\nError during context appending');
       console.error(error);
@@ -308,23 +966,99 @@ async function harvest(_name, commandOptions, _command) {
 
     const withContextCount = stringsContext?.contexts?.length ?? 0;
     const withoutContextCount = stringsContext?.withoutContextCount ?? 0;
+    const failedCount = stringsContext?.failedStrings?.length ?? 0;
     console.log(
-      `\nFetched ${chalk.green(strings.length)} strings: ${chalk.green(withContextCount)} returned AI context, ${chalk.yellow(withoutContextCount)} returned no context.`,
+      `\nFetched ${chalk.green(strings.length)} strings: ${chalk.green(withContextCount)} returned AI context, ${chalk.yellow(withoutContextCount)} returned no context` +
+        (failedCount > 0 ? `, ${chalk.red(failedCount)} failed.` : '.'),
     );
+    if (failedCount > 0) {
+      printFailedStrings(strings, stringsContext.failedStrings, options);
+    }
+    if (stringsContext?.retriesCount) {
+      const throttling = stringsContext.throttleCount
+        ? ` ${stringsContext.throttleCount} times rate limited, the concurrency ended at ${stringsContext.finalConcurrency} of ${options.concurrency}.`
+        : '';
+      console.log(chalk.yellow(`${stringsContext.retriesCount} AI requests were retried.${throttling}`));
+    }
+    if (options.cacheFile) {
+      console.log(`${chalk.green(stringsContext?.cacheHitsCount ?? 0)} contexts were reused from ${chalk.green(options.cacheFile)}.`);
+    }
+    if (stringsContext?.rejectedReferencesCount) {
+      console.log(
+        chalk.yellow(
+          `${stringsContext.rejectedReferencesCount} code references were dropped because they point to code the AI has not seen.`,
+        ),
+      );
+    }
+    if (stringsContext?.unverifiedCount) {
+      const outcome = options.verify === 'discard' ? 'were discarded' : 'were flagged as unverified';
+      console.log(
+        chalk.yellow(`${stringsContext.unverifiedCount} contexts ${outcome} because the string key or text was not found in local files.`),
+      );
+    }
+    if (stringsContext?.screenshotsCount) {
+      console.log(`${chalk.green(stringsContext.screenshotsCount)} contexts have screenshots, see the "screenshots" CSV column.`);
+    }
+    const redactionSummary = stringsContext?.redactions && formatRedactionSummary(stringsContext.redactions);
+    if (redactionSummary) {
+      console.log(chalk.yellow(redactionSummary));
+    }
+    if (stringsContext?.abortedCount) {
+      console.log(chalk.yellow(`${stringsContext.abortedCount} strings were stopped because they exceeded the token limit.`));
+    }
+    if (stringsContext?.skippedCount) {
+      const reason = stringsContext.fatalError
+        ? `of an ${formatErrorType(stringsContext.fatalError.type)} (${stringsContext.fatalError.message})`
+        : '--maxTokens was reached';
+      console.log(
+        chalk.yellow(`${stringsContext.skippedCount} strings were not processed because ${reason}. Run again with --resume to continue.`),
+      );
+    }
+    if (stringsContext?.usage) {
+      console.log(formatUsageSummary({ options, usage: stringsContext.usage }));
+    }
+
+    const { accepted, review } = splitForReview(strings, options.minConfidence);
+    if (review.length > 0) {
+      const reasons = [options.minConfidence && `confidence below "${options.minConfidence}"`, options.verify === 'flag' && 'unverified']
+        .filter(Boolean)
+        .join(' or ');
+      console.log(chalk.yellow(`${review.length} strings have AI context that needs review (${reasons}).`));
+    }
 
     if (options.output === 'terminal') {
-      dryRunPrint(strings);
+      dryRunPrint(accepted);
+      if (review.length > 0) {
+        dryRunPrint(review, true);
+      }
     } else if (options.output === 'csv') {
-      writeCsv(options, strings);
+      writeCsv(options, accepted);
+      if (review.length > 0) {
+        writeCsv(options, review, options.reviewCsvFile);
+      }
     } else if (options.output === 'crowdin') {
       spinner.start(`Updating Crowdin strings...`);
       const updatedCount = await uploadAiStringsToCrowdin({
         apiClient,
         project: options.project,
-        strings,
+        strings: accepted,
       });
       spinner.succeed();
       console.log(`\n${updatedCount} strings updated in Crowdin.`);
+      if (review.length > 0) {
+        writeCsv(options, review, options.reviewCsvFile);
+      }
+    } else if (options.output === 'source') {
+      spinner.start(`Writing the context to the local files...`);
+      const { updatedCount, files, skipped } = writeResourceContexts({ strings: accepted, workingDir: getWorkingDir(options) });
+      spinner.succeed();
+      for (const { file, reason } of skipped) {
+        console.log(chalk.yellow(`Skipped ${file}: ${reason}`));
+      }
+      console.log(`\n${updatedCount} strings updated in ${files.length} files.`);
+      if (review.length > 0) {
+        writeCsv(options, review, options.reviewCsvFile);
+      }
     }
   } catch (error) {
     console.error('error:', error);
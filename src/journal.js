@@ -0,0 +1,82 @@
+//@ts-check
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Reads a checkpoint journal written by a previous harvest run.
+ * Every line is a JSON record with the outcome of a single string; malformed lines (e.g. a partially written last line
+ * after a crash) are skipped. When a string was recorded more than once, the latest record wins.
+ *
+ * @param {string} journalFile
+ * @returns {Map<number | string, object>}
+ */
+function readJournal(journalFile) {
+  const records = new Map();
+  const content = fs.readFileSync(journalFile, 'utf8');
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line.trim().length === 0) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record && record.id !== undefined) {
+        records.set(record.id, record);
+      }
+    } catch {
+      // ignore malformed lines
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Moves the journal of a previous run aside, so starting a new run without --resume doesn't overwrite its checkpoint.
+ * The file gets the time it was last written in its name, e.g. crowdin-context.journal.20250101-120000.jsonl.
+ *
+ * @param {string} journalFile
+ * @returns {string | null} new path of the previous journal, null if there was none or it was empty
+ */
+function rotateJournal(journalFile) {
+  if (!fs.existsSync(journalFile) || fs.statSync(journalFile).size === 0) {
+    return null;
+  }
+  const { dir, name, ext } = path.parse(journalFile);
+  const timestamp = fs
+    .statSync(journalFile)
+    .mtime.toISOString()
+    .replace(/\.\d+Z$/, '')
+    .replace(/[-:]/g, '')
+    .replace('T', '-');
+  let rotatedFile = path.join(dir, `${name}.${timestamp}${ext}`);
+  for (let i = 1; fs.existsSync(rotatedFile); i++) {
+    rotatedFile = path.join(dir, `${name}.${timestamp}-${i}${ext}`);
+  }
+  fs.renameSync(journalFile, rotatedFile);
+  return rotatedFile;
+}
+
+/**
+ * Opens a checkpoint journal. Records are written synchronously, so every processed string
+ * survives the process being killed right after it was recorded.
+ *
+ * @param {string} journalFile
+ * @param {object} [param1]
+ * @param {boolean} [param1.resume] keep records of the previous run instead of starting a new journal
+ */
+function openJournal(journalFile, { resume = false } = {}) {
+  const fd = fs.openSync(journalFile, resume ? 'a' : 'w');
+
+  return {
+    /**
+     * @param {object} record
+     */
+    append(record) {
+      fs.writeSync(fd, JSON.stringify({ ...record, recordedAt: new Date().toISOString() }) + '\n');
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+export { readJournal, rotateJournal, openJournal };
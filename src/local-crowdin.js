@@ -0,0 +1,212 @@
+//@ts-check
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Reads a JSON file of the snapshot
+ *
+ * @param {string} dir
+ * @param {string} name
+ * @param {unknown} [fallback] value of a missing file, the file is required without it
+ */
+function readSnapshotFile(dir, name, fallback) {
+  const file = path.join(dir, name);
+  if (!fs.existsSync(file)) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`${file} doesn't exist, the Crowdin snapshot must contain ${name}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} dir
+ * @param {string} name
+ * @param {unknown} value
+ */
+function writeSnapshotFile(dir, name, value) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(value, null, 2) + '\n');
+}
+
+/**
+ * List response of the API client, every item wrapped in { data }
+ *
+ * @param {Array<object>} items
+ */
+function toList(items) {
+  return { data: items.map(data => ({ data })), pagination: { offset: 0, limit: items.length } };
+}
+
+/**
+ * Applies "replace" and "add" operations of a JSON patch to an object
+ *
+ * @param {object} target
+ * @param {Array<{ op: string, path: string, value?: unknown }>} patch
+ */
+function applyPatch(target, patch) {
+  for (const { op, path: pointer, value } of patch) {
+    const field = pointer.replace(/^\//, '');
+    if (!['replace', 'add'].includes(op) || field.includes('/')) {
+      throw new Error(`Patch operation ${op} ${pointer} is not supported with --crowdinSource`);
+    }
+    target[field] = value;
+  }
+}
+
+/**
+ * Stand-in for the Crowdin API client reading a project snapshot from a directory, for dry runs and tests
+ * without a Crowdin project. It implements the part of the API the commands use:
+ *
+ * - project.json: the project (`type` 1 for a strings-based project), `editProject` updates it
+ * - files.json: source files of a file-based project, `{ id, path, type }`
+ * - branches.json: branches of a strings-based project, `{ id, name }`
+ * - strings.json: source strings with their `fileId` or `branchId`, `stringBatchOperations` updates them
+ * - screenshots.json: screenshots uploaded with their tags, created on the first upload
+ *
+ * Changes are written back to the snapshot files right away.
+ *
+ * @param {string} dir
+ */
+function createLocalCrowdin(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Directory ${dir} doesn't exist, can't run with --crowdinSource option`);
+  }
+
+  const storages = new Map();
+
+  const projectsGroupsApi = {
+    withFetchAll: () => projectsGroupsApi,
+    async getProject() {
+      return { data: readSnapshotFile(dir, 'project.json') };
+    },
+    async listProjects() {
+      return toList([readSnapshotFile(dir, 'project.json')]);
+    },
+    async editProject(_projectId, patch) {
+      const project = readSnapshotFile(dir, 'project.json');
+      applyPatch(project, patch);
+      writeSnapshotFile(dir, 'project.json', project);
+      return { data: project };
+    },
+  };
+
+  const sourceFilesApi = {
+    withFetchAll: () => sourceFilesApi,
+    async listProjectFiles() {
+      return toList(readSnapshotFile(dir, 'files.json', []));
+    },
+    async listProjectBranches() {
+      return toList(readSnapshotFile(dir, 'branches.json', []));
+    },
+  };
+
+  const sourceStringsApi = {
+    withFetchAll: () => sourceStringsApi,
+    /**
+     * @param {number} _projectId
+     * @param {{ fileId?: number, branchId?: number, croql?: string }} [filter]
+     */
+    async listProjectStrings(_projectId, filter = {}) {
+      if (filter.croql) {
+        throw new Error('CroQL filters are not supported with --crowdinSource');
+      }
+      const strings = readSnapshotFile(dir, 'strings.json');
+      return toList(
+        strings.filter(
+          string =>
+            (filter.fileId === undefined || string.fileId === filter.fileId) &&
+            (filter.branchId === undefined || string.branchId === filter.branchId),
+        ),
+      );
+    },
+    /**
+     * @param {number} _projectId
+     * @param {Array<{ op: string, path: string, value?: unknown }>} patch operations with "/<string id>/<field>" paths
+     */
+    async stringBatchOperations(_projectId, patch) {
+      const strings = readSnapshotFile(dir, 'strings.json');
+      const byId = new Map(strings.map(string => [String(string.id), string]));
+      for (const { op, path: pointer, value } of patch) {
+        const [, id, field] = pointer.split('/');
+        const string = byId.get(id);
+        if (!string) {
+          // the error code of the Crowdin API, upload reports it
+          throw new Error(`stringNotExists: string ${id} doesn't exist in ${path.join(dir, 'strings.json')}`);
+        }
+        applyPatch(string, [{ op, path: `/${field}`, value }]);
+      }
+      writeSnapshotFile(dir, 'strings.json', strings);
+      return toList(patch.map(({ path: pointer }) => byId.get(pointer.split('/')[1])));
+    },
+  };
+
+  const uploadStorageApi = {
+    async addStorage(fileName) {
+      const storage = { id: storages.size + 1, fileName };
+      storages.set(storage.id, storage);
+      return { data: storage };
+    },
+  };
+
+  /**
+   * @param {(screenshots: Array<object>) => object} update returns the changed screenshot
+   */
+  const updateScreenshots = update => {
+    const screenshots = readSnapshotFile(dir, 'screenshots.json', []);
+    const screenshot = update(screenshots);
+    writeSnapshotFile(dir, 'screenshots.json', screenshots);
+    return { data: screenshot };
+  };
+  const findScreenshot = (screenshots, id) => {
+    const screenshot = screenshots.find(item => item.id === id);
+    if (!screenshot) throw new Error(`Screenshot ${id} doesn't exist`);
+    return screenshot;
+  };
+
+  const screenshotsApi = {
+    withFetchAll: () => screenshotsApi,
+    async listScreenshots() {
+      return toList(readSnapshotFile(dir, 'screenshots.json', []));
+    },
+    async addScreenshot(_projectId, { storageId, name }) {
+      return updateScreenshots(screenshots => {
+        const screenshot = {
+          id: Math.max(0, ...screenshots.map(item => item.id)) + 1,
+          name,
+          fileName: storages.get(storageId)?.fileName,
+          tags: [],
+        };
+        screenshots.push(screenshot);
+        return screenshot;
+      });
+    },
+    async updateScreenshot(_projectId, screenshotId, { storageId, name }) {
+      return updateScreenshots(screenshots =>
+        Object.assign(findScreenshot(screenshots, screenshotId), { name, fileName: storages.get(storageId)?.fileName }),
+      );
+    },
+    async replaceTags(_projectId, screenshotId, tags) {
+      return updateScreenshots(screenshots => Object.assign(findScreenshot(screenshots, screenshotId), { tags }));
+    },
+  };
+
+  return {
+    projectsGroupsApi,
+    sourceFilesApi,
+    sourceStringsApi,
+    uploadStorageApi,
+    screenshotsApi,
+    // like an API client of crowdin.com
+    aiApi: { organization: undefined },
+    usersApi: {
+      async getAuthenticatedUser() {
+        return { data: { id: 0, username: 'local' } };
+      },
+    },
+  };
+}
+
+export { createLocalCrowdin };
@@ -0,0 +1,120 @@
+//@ts-check
+import chalk from 'chalk';
+import cliProgress from 'cli-progress';
+import { findStringFiles } from './search.js';
+import { estimateCost, formatCost } from './pricing.js';
+import { formatTokens } from './utils.js';
+import { getAdapterPatterns, parseAdapterNames } from './adapters/index.js';
+
+// rough per-string token usage of the default prompt, [min, max]
+const TOKENS_PER_STRING = {
+  none: [4000, 10000],
+  one: [10000, 30000],
+  many: [15000, 60000],
+};
+
+// most of the tokens are the prompt and tool outputs sent to the model
+const INPUT_TOKENS_SHARE = 0.95;
+
+/**
+ * Splits strings by the number of local files containing their key or text or matching their adapter search patterns,
+ * localization files are not counted
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.strings
+ * @param {object} param0.options
+ * @param {string} param0.workingDir
+ * @returns {{ none: Array<object>, one: Array<object>, many: Array<object> }}
+ */
+function classifyStrings({ strings, options, workingDir }) {
+  const adapterNames = parseAdapterNames(options.adapters ?? 'auto');
+  const groups = { none: [], one: [], many: [] };
+  const bar = new cliProgress.SingleBar(
+    { format: 'Searching code for strings {value}/{total} | {bar} {percentage}%' },
+    cliProgress.Presets.shades_classic,
+  );
+
+  bar.start(strings.length, 0);
+  try {
+    for (const string of strings) {
+      const files = findStringFiles({ string, cwd: workingDir, patterns: getAdapterPatterns(string, adapterNames) });
+      if (files.length === 0) {
+        groups.none.push(string);
+      } else if (files.length === 1) {
+        groups.one.push(string);
+      } else {
+        groups.many.push(string);
+      }
+      bar.increment(1);
+    }
+  } finally {
+    bar.stop();
+  }
+
+  return groups;
+}
+
+/**
+ * @param {object} param0
+ * @param {object} param0.options
+ * @param {number} param0.tokens
+ */
+function formatProjectedCost({ options, tokens }) {
+  const inputTokens = Math.round(tokens * INPUT_TOKENS_SHARE);
+  const cost = estimateCost({ provider: options.ai, model: options.model, inputTokens, outputTokens: tokens - inputTokens });
+  return cost ? formatCost(cost.total) : null;
+}
+
+/**
+ * Prints how many strings are likely to get context and the projected token usage without calling the AI provider
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.strings
+ * @param {object} param0.options
+ * @param {string} param0.workingDir
+ */
+function printHarvestPlan({ strings, options, workingDir }) {
+  const groups = classifyStrings({ strings, options, workingDir });
+  const maxTokensPerString = Number(options.maxTokensPerString) || Infinity;
+
+  let minTokens = 0;
+  let maxTokens = 0;
+  for (const [group, [min, max]] of Object.entries(TOKENS_PER_STRING)) {
+    const count = options.skipUnmatched && group === 'none' ? 0 : groups[group].length;
+    minTokens += count * Math.min(min, maxTokensPerString);
+    maxTokens += count * Math.min(max, maxTokensPerString);
+  }
+
+  console.log(`\nHarvest plan for ${chalk.green(strings.length)} strings:`);
+  console.log(`  ${chalk.yellow(groups.none.length)} strings have no code hits and will likely be skipped by the AI`);
+  console.log(`  ${chalk.green(groups.one.length)} strings are found in one file`);
+  console.log(`  ${chalk.green(groups.many.length)} strings are found in multiple files`);
+
+  const minCost = formatProjectedCost({ options, tokens: minTokens });
+  const maxCost = formatProjectedCost({ options, tokens: maxTokens });
+  console.log(
+    `\nProjected usage: ${formatTokens(minTokens)} - ${formatTokens(maxTokens)} tokens. ` +
+      (minCost && maxCost ? `Estimated cost: ${minCost} - ${maxCost}.` : `Estimated cost is unavailable for model ${options.model}.`),
+  );
+
+  if (groups.none.length > 0 && !options.skipUnmatched) {
+    console.log(`Run with --skipUnmatched to exclude ${groups.none.length} strings without code hits from the harvest.`);
+  }
+}
+
+/**
+ * Returns only strings whose key or text is found in local files
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.strings
+ * @param {object} param0.options
+ * @param {string} param0.workingDir
+ */
+function excludeUnmatchedStrings({ strings, options, workingDir }) {
+  const groups = classifyStrings({ strings, options, workingDir });
+  const unmatched = new Set(groups.none);
+  console.log(`${chalk.yellow(unmatched.size)} strings without code hits are excluded from the harvest.`);
+  return strings.filter(string => !unmatched.has(string));
+}
+
+export { classifyStrings, printHarvestPlan, excludeUnmatchedStrings };
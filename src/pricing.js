@@ -0,0 +1,107 @@
+//@ts-check
+import { formatTokens } from './utils.js';
+
+// USD per 1M input/output tokens. Models are matched by the longest prefix, so dated snapshots
+// (e.g. gpt-5-mini-2025-08-07) use the price of their family.
+const PRICING = {
+  openai: {
+    'gpt-5': { input: 1.25, output: 10 },
+    'gpt-5-mini': { input: 0.25, output: 2 },
+    'gpt-5-nano': { input: 0.05, output: 0.4 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    o3: { input: 2, output: 8 },
+    'o4-mini': { input: 1.1, output: 4.4 },
+  },
+  anthropic: {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+  },
+  mistral: {
+    'mistral-large': { input: 2, output: 6 },
+    'mistral-small': { input: 0.2, output: 0.6 },
+    'ministral-8b': { input: 0.1, output: 0.1 },
+    'ministral-3b': { input: 0.04, output: 0.04 },
+  },
+  'google-vertex': {
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  },
+};
+
+// Azure deployments run OpenAI models
+PRICING.azure = PRICING.openai;
+
+/**
+ * Returns the price of the model or undefined if the model is not in the pricing table
+ *
+ * @param {object} param0
+ * @param {string} param0.provider
+ * @param {string} param0.model
+ * @returns {{ input: number, output: number } | undefined}
+ */
+function getModelPricing({ provider, model }) {
+  const providerPricing = PRICING[provider];
+  if (!providerPricing || !model) return undefined;
+
+  const prefix = Object.keys(providerPricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? providerPricing[prefix] : undefined;
+}
+
+/**
+ * Estimates the cost of the used tokens in USD, returns null if the model price is unknown
+ *
+ * @param {object} param0
+ * @param {string} param0.provider
+ * @param {string} param0.model
+ * @param {number} param0.inputTokens
+ * @param {number} param0.outputTokens
+ * @returns {{ input: number, output: number, total: number } | null}
+ */
+function estimateCost({ provider, model, inputTokens, outputTokens }) {
+  const pricing = getModelPricing({ provider, model });
+  if (!pricing) return null;
+
+  const input = (inputTokens / 1000000) * pricing.input;
+  const output = (outputTokens / 1000000) * pricing.output;
+  return { input, output, total: input + output };
+}
+
+/**
+ * @param {number} amount
+ */
+function formatCost(amount) {
+  return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Formats the token usage summary with the cost estimation
+ *
+ * @param {object} param0
+ * @param {object} param0.options
+ * @param {{ inputTokens: number, outputTokens: number, totalTokens: number }} param0.usage
+ */
+function formatUsageSummary({ options, usage }) {
+  const tokens = `${formatTokens(usage.totalTokens)} tokens used (${formatTokens(usage.inputTokens)} input, ${formatTokens(usage.outputTokens)} output)`;
+  const cost = estimateCost({ provider: options.ai, model: options.model, ...usage });
+  if (!cost) {
+    return `${tokens}. Estimated cost is unavailable for model ${options.model}.`;
+  }
+  return `${tokens}. Estimated cost: ${formatCost(cost.total)} (${formatCost(cost.input)} input, ${formatCost(cost.output)} output).`;
+}
+
+export { getModelPricing, estimateCost, formatCost, formatUsageSummary };
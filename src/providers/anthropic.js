@@ -0,0 +1,37 @@
+// @ts-check
+import { ChatAnthropic } from '@langchain/anthropic';
+
+/** @type {import('./index.js').Provider} */
+export const anthropicProvider = {
+  name: 'anthropic',
+  title: 'Anthropic',
+  options: [
+    {
+      name: 'anthropicApiKey',
+      flags: '-ank, --anthropicApiKey <anthropic-api-key>',
+      description: 'Anthropic API key',
+      env: 'ANTHROPIC_API_KEY',
+      required: true,
+      prompt: 'Anthropic API key:',
+    },
+  ],
+
+  async listModels() {
+    return [
+      'claude-opus-4-20250514',
+      'claude-sonnet-4-20250514',
+      'claude-3-7-sonnet-20250219',
+      'claude-3-5-sonnet-20240620',
+      'claude-3-opus-20240229',
+      'claude-3-sonnet-20240229',
+      'claude-3-haiku-20240307',
+    ];
+  },
+
+  create(options) {
+    return new ChatAnthropic({ apiKey: options.anthropicApiKey, model: options.model, streaming: true, maxRetries: 0 });
+  },
+
+  supportsVision: options => /claude/i.test(options.model || ''),
+  imagesInToolResults: true,
+};
@@ -0,0 +1,53 @@
+// @ts-check
+import { AzureChatOpenAI } from '@langchain/openai';
+import { OPENAI_VISION_MODELS } from './openai.js';
+
+/** @type {import('./index.js').Provider} */
+export const azureProvider = {
+  name: 'azure',
+  title: 'MS Azure OpenAI',
+  options: [
+    {
+      name: 'azureResourceName',
+      flags: '-azr, --azureResourceName <azure-resource-name>',
+      description: 'MS Azure OpenAI resource name',
+      env: 'AZURE_RESOURCE_NAME',
+      envAliases: ['AZURE_OPENAI_API_INSTANCE_NAME'],
+      required: true,
+      prompt: 'MS Azure OpenAI resource name:',
+    },
+    {
+      name: 'azureApiKey',
+      flags: '-azk, --azureApiKey <azure-api-key>',
+      description: 'MS Azure OpenAI API key',
+      env: 'AZURE_API_KEY',
+      envAliases: ['AZURE_OPENAI_API_KEY'],
+      required: true,
+      prompt: 'MS Azure OpenAI API key:',
+    },
+    {
+      name: 'azureDeploymentName',
+      flags: '-azd, --azureDeploymentName <azure-resource-name>',
+      description: 'MS Azure OpenAI deployment name',
+      env: 'AZURE_DEPLOYMENT_NAME',
+      envAliases: ['AZURE_OPENAI_API_DEPLOYMENT_NAME'],
+      required: true,
+      prompt: 'MS Azure OpenAI deployment name:',
+    },
+  ],
+  // the deployment selects the model
+  usesModel: false,
+
+  create(options) {
+    return new AzureChatOpenAI({
+      azureOpenAIApiKey: options.azureApiKey,
+      azureOpenAIApiInstanceName: options.azureResourceName,
+      azureOpenAIApiDeploymentName: options.azureDeploymentName,
+      azureOpenAIApiVersion: '2023-05-15',
+      maxRetries: 0,
+    });
+  },
+
+  // the deployment name usually follows the model name
+  supportsVision: options => OPENAI_VISION_MODELS.test(options.azureDeploymentName || ''),
+};
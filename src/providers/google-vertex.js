@@ -0,0 +1,109 @@
+// @ts-check
+import axios from 'axios';
+import { GoogleAuth } from 'google-auth-library';
+import { ChatVertexAI } from '@langchain/google-vertexai';
+
+const KNOWN_MODELS = [
+  'gemini-1.5-pro',
+  'gemini-1.5-pro-002',
+  'gemini-1.5-pro-001',
+  'gemini-1.5-flash',
+  'gemini-1.5-flash-001',
+  'gemini-1.5-flash-002',
+  'gemini-2.5-pro',
+  'gemini-2.5-flash',
+];
+
+/**
+ * The private key is often passed with escaped line breaks in environment variables
+ *
+ * @param {string} [privateKey]
+ */
+function normalizePrivateKey(privateKey) {
+  return (privateKey || '').replace(/\\n/g, '\n');
+}
+
+/** @type {import('./index.js').Provider} */
+export const googleVertexProvider = {
+  name: 'google-vertex',
+  title: 'Google Gemini (Vertex AI API)',
+  options: [
+    {
+      name: 'googleVertexProject',
+      flags: '-gvp, --googleVertexProject <google-vertext-project-id>',
+      description: 'Google Cloud Project ID',
+      env: 'GOOGLE_VERTEX_PROJECT',
+      required: true,
+      prompt: 'Google Cloud project ID:',
+    },
+    {
+      name: 'googleVertexLocation',
+      flags: '-gvl, --googleVertexLocation <google-vertext-location>',
+      description: 'Google Cloud Project location',
+      env: 'GOOGLE_VERTEX_LOCATION',
+      required: true,
+      prompt: 'Google Cloud project location:',
+    },
+    {
+      name: 'googleVertexClientEmail',
+      flags: '-gvce, --googleVertexClientEmail <google-vertext-client-email>',
+      description: 'Google Cloud service account client email',
+      env: 'GOOGLE_VERTEX_CLIENT_EMAIL',
+      required: true,
+      prompt: 'Google Cloud service account client email:',
+    },
+    {
+      name: 'googleVertexPrivateKey',
+      flags: '-gvpk, --googleVertexPrivateKey <google-vertext-private-key>',
+      description: 'Google Cloud service account private key',
+      env: 'GOOGLE_VERTEX_PRIVATE_KEY',
+      required: true,
+      prompt: 'Google Cloud service account private key:',
+    },
+  ],
+
+  async listModels(settings) {
+    const location = settings.googleVertexLocation;
+    const project = settings.googleVertexProject;
+
+    const auth = new GoogleAuth({
+      scopes: 'https://www.googleapis.com/auth/cloud-platform',
+      credentials: {
+        private_key: normalizePrivateKey(settings.googleVertexPrivateKey),
+        client_email: settings.googleVertexClientEmail,
+      },
+    });
+    const token = await auth.getAccessToken();
+
+    const url = `https://${location}-aiplatform.googleapis.com/v1/projects/${project}/locations/${location}/models`;
+    const models =
+      (
+        await axios.get(url, {
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+        })
+      )?.data?.models || [];
+
+    return [...KNOWN_MODELS, ...models.map(model => model.displayName)];
+  },
+
+  create(options) {
+    return new ChatVertexAI({
+      maxRetries: 0,
+      model: options.model,
+      location: options.googleVertexLocation,
+      authOptions: {
+        projectId: options.googleVertexProject,
+        credentials: {
+          client_email: options.googleVertexClientEmail,
+          private_key: normalizePrivateKey(options.googleVertexPrivateKey),
+        },
+      },
+    });
+  },
+
+  supportsVision: options => /gemini/i.test(options.model || ''),
+};
@@ -0,0 +1,92 @@
+// @ts-check
+import { openaiProvider } from './openai.js';
+import { googleVertexProvider } from './google-vertex.js';
+import { azureProvider } from './azure.js';
+import { anthropicProvider } from './anthropic.js';
+import { mistralProvider } from './mistral.js';
+import { ollamaProvider } from './ollama.js';
+import { mockProvider } from './mock.js';
+
+/**
+ * @typedef {object} ProviderOption
+ * @property {string} name option name, e.g. openAiKey
+ * @property {string} flags commander flags, e.g. "-k, --openAiKey <key>"
+ * @property {string} description short description, the CLI adds whether the option is required
+ * @property {string} [env] environment variable the option is read from
+ * @property {string[]} [envAliases] other environment variables used when `env` is not set
+ * @property {boolean} [required] the option is mandatory when the provider is chosen
+ * @property {string[]} [choices] allowed values
+ * @property {string} [default]
+ * @property {string} [prompt] question asked by the configure command, the option is not asked for without it
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name value of the --ai option
+ * @property {string} title name shown by the configure command
+ * @property {boolean} [hidden] not offered by the configure command, e.g. for testing, the --ai option still accepts it
+ * @property {ProviderOption[]} options
+ * @property {boolean} [usesModel] false when the model is not selected with --model (e.g. by the Azure deployment)
+ * @property {(settings: object) => Promise<string[]>} [listModels] models offered by the configure command
+ * @property {(options: object) => import('@langchain/core/language_models/chat_models').BaseChatModel} create creates the chat model with `maxRetries: 0`, getChatModel retries its calls
+ * @property {(options: object) => boolean} [supportsVision] the model can look at images
+ * @property {boolean} [imagesInToolResults] the provider accepts images in tool results
+ * @property {(options: object) => string | undefined} [validate] checks the option values before the run, returns the error
+ */
+
+/**
+ * Supported AI providers, in the order they are offered. A new provider is added by creating its module
+ * in this directory and listing it here, the CLI options, validation and configure questions follow.
+ *
+ * @type {Provider[]}
+ */
+const PROVIDERS = [openaiProvider, googleVertexProvider, azureProvider, anthropicProvider, mistralProvider, ollamaProvider, mockProvider];
+
+/**
+ * @param {string} name
+ * @returns {Provider | undefined}
+ */
+function getProvider(name) {
+  return PROVIDERS.find(provider => provider.name === name);
+}
+
+/**
+ * Environment variable aliases of all provider options, for applyEnvAliases
+ *
+ * @returns {Record<string, string[]>}
+ */
+function getProviderEnvAliases() {
+  return Object.fromEntries(
+    PROVIDERS.flatMap(provider => provider.options)
+      .filter(option => option.env && option.envAliases?.length)
+      .map(option => [option.env, option.envAliases]),
+  );
+}
+
+/**
+ * Provider names for help texts, e.g. "openai", "azure" or "mistral"
+ */
+function formatProviderNames() {
+  const names = PROVIDERS.map(provider => `"${provider.name}"`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
+}
+
+/**
+ * Checks the --ai option and the options the chosen provider requires
+ *
+ * @param {object} options
+ * @returns {string | undefined} error message
+ */
+function getProviderError(options) {
+  const provider = getProvider(options.ai);
+  if (!provider) {
+    return `--ai parameter contains wrong value. Possible values: ${PROVIDERS.map(({ name }) => name)}`;
+  }
+  const missing = provider.options.find(option => option.required && !options[option.name]);
+  if (missing) {
+    return `--${missing.name} is required when using ${provider.name} as AI provider`;
+  }
+  return provider.validate?.(options);
+}
+
+export { PROVIDERS, getProvider, getProviderEnvAliases, formatProviderNames, getProviderError };
@@ -0,0 +1,212 @@
+// @ts-check
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, HumanMessage, SystemMessage, isAIMessage, isSystemMessage, isToolMessage } from '@langchain/core/messages';
+import { convertToOpenAITool } from '@langchain/core/utils/function_calling';
+
+// error of the Ollama API for models without tool support, e.g. "gemma2 does not support tools"
+const NO_TOOLS_ERROR = /does not support tools/i;
+
+/**
+ * Text content of a message, tool results with images keep their text blocks only
+ *
+ * @param {object} message
+ */
+function getText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * @param {Array<{ type: string, function: { name: string, description?: string, parameters?: object } }>} tools
+ */
+function formatToolInstructions(tools) {
+  const descriptions = tools.map(({ function: fn }) =>
+    [`### ${fn.name}`, fn.description || '', `Arguments JSON schema: ${JSON.stringify(fn.parameters || {})}`].join('\n'),
+  );
+  return `## Tools
+
+You can call the following tools. To call tools, reply with a JSON object only, without any other text:
+{"tool_calls": [{"name": "<tool name>", "arguments": {<arguments matching the schema>}}]}
+The tool results are sent back to you in the next message. Reply with plain text only when you don't need any tool.
+
+${descriptions.join('\n\n')}`;
+}
+
+/**
+ * Finds the JSON values in a text: fenced code blocks and the outermost objects or arrays
+ *
+ * @param {string} text
+ * @returns {unknown[]}
+ */
+function findJsonValues(text) {
+  const candidates = [...text.matchAll(/```(?:json)?\s*([\s\S]*?)```/g)].map(match => match[1]);
+  // outermost brackets, skipping brackets in strings
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = depth > 0;
+    } else if (char === '{' || char === '[') {
+      if (depth++ === 0) start = i;
+    } else if ((char === '}' || char === ']') && depth > 0) {
+      if (--depth === 0) candidates.push(text.slice(start, i + 1));
+    }
+  }
+
+  const values = [];
+  for (const candidate of candidates) {
+    try {
+      values.push(JSON.parse(candidate));
+    } catch {
+      // not JSON, e.g. code quoted by the model
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses the tool calls out of the JSON in a model reply. Accepts the requested {"tool_calls": [...]} object and the
+ * shapes models commonly produce instead: a single call, an array of calls, "tool"/"function" instead of "name" and
+ * "parameters"/"args"/"input" instead of "arguments".
+ *
+ * @param {string} text
+ * @param {string[]} toolNames
+ * @returns {Array<{ name: string, args: object }>}
+ */
+function parseToolCalls(text, toolNames) {
+  const calls = [];
+  for (const value of findJsonValues(text)) {
+    const list = Array.isArray(value) ? value : Array.isArray(value?.tool_calls) ? value.tool_calls : [value];
+    for (const item of list) {
+      const call = item?.function && typeof item.function === 'object' ? item.function : item;
+      const name = call?.name ?? call?.tool ?? (typeof call?.function === 'string' ? call.function : undefined);
+      if (!toolNames.includes(name)) continue;
+      let args = call.arguments ?? call.parameters ?? call.args ?? call.input ?? {};
+      if (typeof args === 'string') {
+        try {
+          args = JSON.parse(args);
+        } catch {
+          continue;
+        }
+      }
+      calls.push({ name, args });
+    }
+    if (calls.length > 0) break;
+  }
+  return calls;
+}
+
+/**
+ * Converts the agent messages for a model without tool calling: the tool calls of the model become their JSON
+ * and the tool results become user messages
+ *
+ * @param {Array<object>} messages
+ * @param {string} instructions
+ */
+function toTextMessages(messages, instructions) {
+  const converted = messages.map(message => {
+    if (isToolMessage(message)) {
+      return new HumanMessage(`Result of the "${message.name}" tool call ${message.tool_call_id}:\n${getText(message)}`);
+    }
+    if (isAIMessage(message) && message.tool_calls?.length) {
+      const toolCalls = message.tool_calls.map(call => ({ name: call.name, arguments: call.args }));
+      return new AIMessage(JSON.stringify({ tool_calls: toolCalls }));
+    }
+    return message;
+  });
+
+  const systemIndex = converted.findIndex(isSystemMessage);
+  if (systemIndex === -1) {
+    return [new SystemMessage(instructions), ...converted];
+  }
+  converted[systemIndex] = new SystemMessage(`${getText(converted[systemIndex])}\n\n${instructions}`);
+  return converted;
+}
+
+/**
+ * Chat model adding tool calling to models without native support. The tools are described in the system prompt
+ * and the tool calls are parsed out of the JSON the model replies with, so the ReAct agent works unchanged.
+ * In the "auto" mode native tool calling is used until the provider rejects it.
+ */
+class JsonToolCallingChatModel extends BaseChatModel {
+  /**
+   * @param {object} param0
+   * @param {BaseChatModel} param0.model
+   * @param {'auto' | 'json' | 'native'} [param0.mode]
+   * @param {Array<object>} [param0.tools]
+   * @param {{ json: boolean }} [param0.state] shared by the models with bound tools, so the fallback is detected once
+   */
+  constructor({ model, mode = 'auto', tools = [], state = { json: mode === 'json' } }) {
+    super({});
+    this.model = model;
+    this.mode = mode;
+    this.tools = tools;
+    this.state = state;
+  }
+
+  _llmType() {
+    return 'json-tool-calling';
+  }
+
+  /**
+   * @param {Array<object>} tools
+   */
+  bindTools(tools) {
+    return new JsonToolCallingChatModel({ model: this.model, mode: this.mode, tools, state: this.state });
+  }
+
+  /**
+   * @param {Array<object>} messages
+   * @param {object} options
+   * @param {object} [runManager]
+   */
+  async _generate(messages, options, runManager) {
+    const callOptions = { signal: options?.signal, callbacks: runManager?.getChild() };
+    if (this.tools.length === 0) {
+      return this.toResult(await this.model.invoke(messages, callOptions));
+    }
+
+    if (!this.state.json) {
+      try {
+        // @ts-ignore the wrapped chat models implement bindTools
+        return this.toResult(await this.model.bindTools(this.tools).invoke(messages, callOptions));
+      } catch (err) {
+        if (this.mode !== 'auto' || !NO_TOOLS_ERROR.test(String(err?.message || err))) throw err;
+        this.state.json = true;
+      }
+    }
+
+    const tools = this.tools.map(tool => convertToOpenAITool(tool));
+    const reply = await this.model.invoke(toTextMessages(messages, formatToolInstructions(tools)), callOptions);
+    const text = getText(reply);
+    const toolCalls = parseToolCalls(
+      text,
+      tools.map(tool => tool.function.name),
+    ).map((call, index) => ({ ...call, id: `call_${Date.now().toString(36)}_${index}`, type: 'tool_call' }));
+    return this.toResult(
+      new AIMessage({
+        content: toolCalls.length > 0 ? '' : text,
+        tool_calls: toolCalls,
+        usage_metadata: reply.usage_metadata,
+        response_metadata: reply.response_metadata,
+      }),
+    );
+  }
+
+  /**
+   * @param {object} message
+   */
+  toResult(message) {
+    return { generations: [{ text: getText(message), message }] };
+  }
+}
+
+export { JsonToolCallingChatModel, parseToolCalls };
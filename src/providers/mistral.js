@@ -0,0 +1,28 @@
+// @ts-check
+import { ChatMistralAI } from '@langchain/mistralai';
+
+/** @type {import('./index.js').Provider} */
+export const mistralProvider = {
+  name: 'mistral',
+  title: 'Mistral',
+  options: [
+    {
+      name: 'mistralApiKey',
+      flags: '-mk, --mistralApiKey <mistral-api-key>',
+      description: 'Mistral API key',
+      env: 'MISTRAL_API_KEY',
+      required: true,
+      prompt: 'Mistral API key:',
+    },
+  ],
+
+  async listModels() {
+    return ['mistral-large-latest', 'ministral-8b-latest', 'ministral-3b-latest', 'mistral-small-latest'];
+  },
+
+  create(options) {
+    return new ChatMistralAI({ apiKey: options.mistralApiKey, model: options.model, maxRetries: 0 });
+  },
+
+  supportsVision: options => /pixtral|mistral-(medium|small)-(latest|25)/i.test(options.model || ''),
+};
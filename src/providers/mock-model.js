@@ -0,0 +1,113 @@
+// @ts-check
+import fs from 'fs';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, isAIMessage, isHumanMessage } from '@langchain/core/messages';
+
+/**
+ * @typedef {object} MockResponse
+ * @property {string} [content] text of the reply
+ * @property {Array<{ name: string, args?: object }>} [toolCalls]
+ * @property {{ inputTokens?: number, outputTokens?: number }} [usage] reported token usage
+ * @property {{ message?: string, status?: number }} [error] the model call fails with this error instead
+ */
+
+/**
+ * @typedef {object} MockScript
+ * @property {string} [match] regular expression the user prompt must match, the script of every agent run without it
+ * @property {MockResponse[]} responses replies to the model calls of the agent run, in order
+ */
+
+/**
+ * Reads a fixture: an object with the "scripts" array, or the responses of a single script
+ *
+ * @param {string} fixtureFile
+ * @returns {MockScript[]}
+ */
+function readFixture(fixtureFile) {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading mock fixture ${fixtureFile}: ${error.message}`);
+  }
+  const scripts = Array.isArray(fixture) ? [{ responses: fixture }] : fixture?.scripts;
+  if (!Array.isArray(scripts) || scripts.some(script => !Array.isArray(script?.responses))) {
+    throw new Error(`Mock fixture ${fixtureFile} must be an array of responses or an object with a "scripts" array`);
+  }
+  return scripts;
+}
+
+/**
+ * Text of the first user message, the prompt of the agent run
+ *
+ * @param {Array<object>} messages
+ */
+function getPromptText(messages) {
+  const message = messages.find(item => isHumanMessage(item));
+  if (!message) return '';
+  return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+}
+
+/**
+ * Chat model replaying scripted responses, for running the pipelines without an AI provider. The responses are
+ * picked by the prompt and the number of model calls already made in the conversation, so concurrent agent runs
+ * get the same replies in any order.
+ */
+class MockChatModel extends BaseChatModel {
+  /**
+   * @param {object} param0
+   * @param {MockScript[]} param0.scripts
+   * @param {string[]} [param0.toolNames] tools bound to the model
+   */
+  constructor({ scripts, toolNames }) {
+    super({});
+    this.scripts = scripts;
+    this.toolNames = toolNames;
+  }
+
+  _llmType() {
+    return 'mock';
+  }
+
+  /**
+   * @param {Array<object>} tools
+   */
+  bindTools(tools) {
+    return new MockChatModel({ scripts: this.scripts, toolNames: tools.map(item => item.name ?? item.function?.name) });
+  }
+
+  /**
+   * @param {Array<object>} messages
+   */
+  async _generate(messages) {
+    const prompt = getPromptText(messages);
+    const script = this.scripts.find(item => !item.match || new RegExp(item.match).test(prompt));
+    const step = messages.filter(item => isAIMessage(item)).length;
+    const response = script?.responses[step];
+    if (!response) {
+      // a plain reply ends the agent run without a result
+      const text = script ? 'The mock script has no more responses.' : 'No mock script matches the prompt.';
+      return { generations: [{ text, message: new AIMessage(text) }] };
+    }
+    if (response.error) {
+      throw Object.assign(new Error(response.error.message || 'Mock error'), { status: response.error.status });
+    }
+
+    const toolCalls = (response.toolCalls || []).map((call, index) => {
+      if (this.toolNames && !this.toolNames.includes(call.name)) {
+        throw new Error(`Mock response calls the "${call.name}" tool, available tools: ${this.toolNames.join(', ')}`);
+      }
+      return { id: `mock_${step}_${index}`, name: call.name, args: call.args || {}, type: 'tool_call' };
+    });
+    const inputTokens = response.usage?.inputTokens ?? 0;
+    const outputTokens = response.usage?.outputTokens ?? 0;
+    const message = new AIMessage({
+      content: response.content || '',
+      tool_calls: toolCalls,
+      usage_metadata: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens },
+    });
+    return { generations: [{ text: response.content || '', message }] };
+  }
+}
+
+export { MockChatModel, readFixture };
@@ -0,0 +1,31 @@
+// @ts-check
+import { MockChatModel, readFixture } from './mock-model.js';
+
+/** @type {import('./index.js').Provider} */
+export const mockProvider = {
+  name: 'mock',
+  title: 'Mock (scripted responses for testing)',
+  hidden: true,
+  options: [
+    {
+      name: 'mockFixture',
+      flags: '-mf, --mockFixture <path>',
+      description: 'JSON file with the scripted responses of the mock provider, it does not call any AI service',
+      env: 'MOCK_FIXTURE',
+      required: true,
+    },
+  ],
+  usesModel: false,
+
+  validate(options) {
+    try {
+      readFixture(options.mockFixture);
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  create(options) {
+    return new MockChatModel({ scripts: readFixture(options.mockFixture) });
+  },
+};
@@ -0,0 +1,55 @@
+// @ts-check
+import axios from 'axios';
+import { ChatOllama } from '@langchain/ollama';
+import { JsonToolCallingChatModel } from './json-tool-calls.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+// model families accepting images
+const VISION_MODELS = /llava|vision|vl\b|gemma3|minicpm-v|moondream|llama4|mistral-small3\.[12]|granite3\.2-vision/i;
+
+/** @type {import('./index.js').Provider} */
+export const ollamaProvider = {
+  name: 'ollama',
+  title: 'Ollama (local models)',
+  options: [
+    {
+      name: 'ollamaBaseUrl',
+      flags: '-olu, --ollamaBaseUrl <base-url>',
+      description: `Ollama server URL (default ${DEFAULT_BASE_URL})`,
+      env: 'OLLAMA_BASE_URL',
+      prompt: `Ollama server URL (optional, defaults to ${DEFAULT_BASE_URL}):`,
+    },
+    {
+      name: 'ollamaContextSize',
+      flags: '-olc, --ollamaContextSize <tokens>',
+      description: 'Context window of the model in tokens, Ollama truncates longer prompts (defaults to the model settings)',
+      env: 'OLLAMA_CONTEXT_SIZE',
+    },
+    {
+      name: 'ollamaToolCalls',
+      flags: '-olt, --ollamaToolCalls <mode>',
+      description:
+        'Tool calling of the model: "native" uses the Ollama tools API, "json" describes the tools in the prompt and parses the tool calls out of the JSON the model replies with, "auto" switches to "json" for models without tool support',
+      choices: ['auto', 'native', 'json'],
+      default: 'auto',
+    },
+  ],
+
+  async listModels(settings) {
+    const baseUrl = settings.ollamaBaseUrl || DEFAULT_BASE_URL;
+    const response = await axios.get(`${baseUrl}/api/tags`);
+    return response.data.models.map(model => model.name);
+  },
+
+  create(options) {
+    const model = new ChatOllama({
+      baseUrl: options.ollamaBaseUrl || DEFAULT_BASE_URL,
+      maxRetries: 0,
+      model: options.model,
+      ...(options.ollamaContextSize && { numCtx: Number(options.ollamaContextSize) }),
+    });
+    return new JsonToolCallingChatModel({ model, mode: options.ollamaToolCalls || 'auto' });
+  },
+
+  supportsVision: options => VISION_MODELS.test(options.model || ''),
+};
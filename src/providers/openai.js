@@ -0,0 +1,45 @@
+// @ts-check
+import axios from 'axios';
+import { ChatOpenAI } from '@langchain/openai';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+// models accepting images
+export const OPENAI_VISION_MODELS = /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|vision|^o[134]/i;
+
+/** @type {import('./index.js').Provider} */
+export const openaiProvider = {
+  name: 'openai',
+  title: 'OpenAI (OpenAI API or OpenAI-compatible API)',
+  options: [
+    {
+      name: 'openAiKey',
+      flags: '-k, --openAiKey <key>',
+      description: 'OpenAI API key',
+      env: 'OPENAI_KEY',
+      envAliases: ['OPENAI_API_KEY'],
+      required: true,
+      prompt: 'OpenAI API key:',
+    },
+    {
+      name: 'openAiBaseUrl',
+      flags: '-ob, --openAiBaseUrl <base-url>',
+      description: 'OpenAI-compatible API base URL (e.g., http://localhost:8000/v1)',
+      env: 'OPENAI_BASE_URL',
+      prompt: 'OpenAI-compatible API base URL (optional, defaults to https://api.openai.com/v1):',
+    },
+  ],
+
+  async listModels(settings) {
+    const baseUrl = settings.openAiBaseUrl || DEFAULT_BASE_URL;
+    const response = await axios.get(`${baseUrl}/models`, { headers: { Authorization: `Bearer ${settings.openAiKey}` } });
+    return response.data.data.map(model => model.id);
+  },
+
+  create(options) {
+    const apiKey = options.openAiKey;
+    const baseURL = options.openAiBaseUrl;
+    return new ChatOpenAI({ apiKey, model: options.model, configuration: baseURL ? { baseURL } : undefined, maxRetries: 0 });
+  },
+
+  supportsVision: options => OPENAI_VISION_MODELS.test(options.model || ''),
+};
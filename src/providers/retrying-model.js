@@ -0,0 +1,52 @@
+// @ts-check
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { withRetry } from '../retry.js';
+
+/**
+ * Chat model retrying every model call of the agent, so a rate limit or a dropped connection in the middle of
+ * an agent run repeats the failed call instead of the whole run. The wrapped models are created without their
+ * own retries, so the Retry-After delays of the provider are respected.
+ */
+class RetryingChatModel extends BaseChatModel {
+  /**
+   * @param {object} param0
+   * @param {object} param0.model chat model, or the runnable returned by its bindTools
+   * @param {number} param0.retries
+   * @param {(error: ReturnType<typeof import('../retry.js').classifyError>, delayMs: number) => void} [param0.onRetry]
+   */
+  constructor({ model, retries, onRetry }) {
+    super({});
+    this.model = model;
+    this.retries = retries;
+    this.onRetry = onRetry;
+  }
+
+  _llmType() {
+    return 'retrying';
+  }
+
+  /**
+   * @param {Array<object>} tools
+   * @param {object} [kwargs]
+   */
+  bindTools(tools, kwargs) {
+    return new RetryingChatModel({ model: this.model.bindTools(tools, kwargs), retries: this.retries, onRetry: this.onRetry });
+  }
+
+  /**
+   * @param {Array<object>} messages
+   * @param {object} options
+   * @param {object} [runManager]
+   */
+  async _generate(messages, options, runManager) {
+    const message = await withRetry(() => this.model.invoke(messages, { signal: options?.signal, callbacks: runManager?.getChild() }), {
+      retries: this.retries,
+      onRetry: this.onRetry,
+      signal: options?.signal,
+    });
+    const text = typeof message.content === 'string' ? message.content : '';
+    return { generations: [{ text, message }] };
+  }
+}
+
+export { RetryingChatModel };
@@ -0,0 +1,118 @@
+//@ts-check
+import fs from 'fs';
+import path from 'path';
+import { isAIMessage, isToolMessage } from '@langchain/core/messages';
+
+/**
+ * @param {string} workingDir
+ * @param {string} file
+ */
+function toRelativePath(workingDir, file) {
+  return path.relative(workingDir, path.resolve(workingDir, file));
+}
+
+/**
+ * Returns files (relative to the working directory) the agent has seen: files passed to the read, symbols and git blame
+ * tools and files listed in the grep and symbols tools output. Commits listed in the git tool output are added
+ * as "commit:<hash>".
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.messages
+ * @param {string} param0.workingDir
+ * @returns {Set<string>}
+ */
+function getTouchedFiles({ messages, workingDir }) {
+  const files = new Set();
+  for (const message of messages) {
+    if (isAIMessage(message)) {
+      for (const toolCall of message.tool_calls || []) {
+        if (toolCall.name === 'read' && typeof toolCall.args?.path === 'string') {
+          files.add(toRelativePath(workingDir, toolCall.args.path));
+        }
+        if (toolCall.name === 'symbols' && toolCall.args?.action !== 'references' && typeof toolCall.args?.path === 'string') {
+          files.add(toRelativePath(workingDir, toolCall.args.path));
+        }
+        if (toolCall.name === 'git' && toolCall.args?.action === 'blame' && typeof toolCall.args?.path === 'string') {
+          files.add(toRelativePath(workingDir, toolCall.args.path));
+        }
+      }
+    } else if (isToolMessage(message) && message.name === 'git' && typeof message.content === 'string') {
+      for (const match of message.content.matchAll(/^commit ([0-9a-f]{7,40})\b/gm)) {
+        files.add(`commit:${match[1]}`);
+      }
+    } else if (isToolMessage(message) && ['grep', 'symbols'].includes(message.name) && typeof message.content === 'string') {
+      for (const line of message.content.split('\n')) {
+        // grep and symbols references output contain file headings (optionally followed by a count) and numbered match lines
+        if (!line || /^\d+[:-]/.test(line) || line.startsWith('...') || line === '--') continue;
+        const candidate = line.replace(/:\d+$/, '');
+        const absolutePath = path.resolve(workingDir, candidate);
+        if (fs.existsSync(absolutePath) && fs.statSync(absolutePath).isFile()) {
+          files.add(toRelativePath(workingDir, candidate));
+        }
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * @param {string} absolutePath
+ * @returns {number}
+ */
+function countLines(absolutePath) {
+  try {
+    return fs.readFileSync(absolutePath, 'utf8').split(/\r?\n/).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * @param {string} reference "commit:<hash>"
+ * @param {Set<string>} touchedFiles
+ */
+function isTouchedCommit(reference, touchedFiles) {
+  const hash = reference.slice('commit:'.length).toLowerCase();
+  if (!/^[0-9a-f]{7,40}$/.test(hash)) return false;
+  return [...touchedFiles].some(
+    file => file.startsWith('commit:') && (file.startsWith(`commit:${hash}`) || hash.startsWith(file.slice(7))),
+  );
+}
+
+/**
+ * Keeps only references ("path:line" or "path:start-end") pointing to existing lines of files the agent has seen
+ * and commit references ("commit:<hash>") to commits the agent has seen
+ *
+ * @param {object} param0
+ * @param {string[]} param0.references
+ * @param {Set<string>} param0.touchedFiles
+ * @param {string} param0.workingDir
+ * @returns {{ valid: string[], rejected: string[] }}
+ */
+function validateReferences({ references, touchedFiles, workingDir }) {
+  const valid = [];
+  const rejected = [];
+  for (const reference of references) {
+    if (reference.trim().startsWith('commit:')) {
+      (isTouchedCommit(reference.trim(), touchedFiles) ? valid : rejected).push(reference.trim());
+      continue;
+    }
+    const match = /^(.+?):(\d+)(?:-(\d+))?$/.exec(reference.trim());
+    if (!match) {
+      rejected.push(reference);
+      continue;
+    }
+
+    const file = toRelativePath(workingDir, match[1]);
+    const lastLine = Number(match[3] ?? match[2]);
+    if (!touchedFiles.has(file) || Number(match[2]) < 1 || lastLine > countLines(path.resolve(workingDir, file))) {
+      rejected.push(reference);
+      continue;
+    }
+
+    valid.push(`${file}:${match[3] ? `${match[2]}-${match[3]}` : match[2]}`);
+  }
+  return { valid, rejected };
+}
+
+export { getTouchedFiles, validateReferences };
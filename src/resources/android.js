@@ -0,0 +1,81 @@
+// @ts-check
+import { findElements, decodeXmlText, findPrecedingComment } from './xml.js';
+import { mergeAiContext, applyEdits, getIndentation } from './edit.js';
+
+/**
+ * Text of an Android string resource: XML decoded, outer quotes removed and backslash escapes resolved
+ *
+ * @param {string} inner
+ */
+function decodeAndroidText(inner) {
+  let text = decodeXmlText(inner).trim();
+  if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+    text = text.slice(1, -1);
+  }
+  return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, escaped) => {
+    if (escaped[0] === 'u' && escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+    return { n: '\n', t: '\t' }[escaped] ?? escaped;
+  });
+}
+
+/**
+ * Translatable resources of the file with the keys of their strings, the items of an array are strings of their own
+ *
+ * @param {string} content
+ */
+function findResources(content) {
+  const translatable = element => element.attributes.translatable !== 'false' && element.attributes.name;
+  const resources = [];
+  for (const element of findElements(content, 'string').filter(translatable)) {
+    resources.push({ element, strings: [{ key: element.attributes.name, text: decodeAndroidText(element.inner) }] });
+  }
+  for (const element of findElements(content, 'plurals').filter(translatable)) {
+    const items = findElements(element.inner, 'item');
+    const item = items.find(candidate => candidate.attributes.quantity === 'other') || items[0];
+    if (item) {
+      resources.push({ element, strings: [{ key: element.attributes.name, text: decodeAndroidText(item.inner) }] });
+    }
+  }
+  for (const element of findElements(content, 'string-array').filter(translatable)) {
+    // the keys Crowdin gives to the items of an array
+    const strings = findElements(element.inner, 'item').map((item, index) => ({
+      key: `${element.attributes.name}[${index}]`,
+      text: decodeAndroidText(item.inner),
+    }));
+    resources.push({ element, strings });
+  }
+  return resources.sort((a, b) => a.element.start - b.element.start);
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const androidFormat = {
+  name: 'android',
+  title: 'Android XML',
+  fileType: 'android',
+  filePattern: /\.xml$/i,
+
+  parse(content) {
+    return findResources(content).flatMap(({ element, strings }) => {
+      const context = findPrecedingComment(content, element.start)?.text;
+      return strings.map(string => ({ ...string, context }));
+    });
+  },
+
+  write(content, contexts) {
+    const edits = [];
+    for (const { element, strings } of findResources(content)) {
+      // the items of an array share the comment of the array
+      const aiContext = strings.map(string => contexts.get(string.key)).find(Boolean);
+      if (!aiContext) continue;
+      const comment = findPrecedingComment(content, element.start);
+      // "--" is not allowed in XML comments
+      const text = `<!-- ${mergeAiContext(comment?.text, aiContext).replace(/-(?=-)/g, '- ')} -->`;
+      if (comment) {
+        edits.push({ start: comment.start, end: comment.end, text });
+      } else {
+        edits.push({ start: element.start, end: element.start, text: `${text}\n${getIndentation(content, element.start)}` });
+      }
+    }
+    return applyEdits(content, edits);
+  },
+};
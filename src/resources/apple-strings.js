@@ -0,0 +1,94 @@
+// @ts-check
+import { mergeAiContext, applyEdits, getIndentation } from './edit.js';
+
+/**
+ * Resolves the escapes of a quoted .strings value
+ *
+ * @param {string} text
+ */
+function unescapeStrings(text) {
+  return text.replace(/\\(U[0-9a-fA-F]{4}|u[0-9a-fA-F]{4}|.)/g, (_, escaped) => {
+    if (escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+    return { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+  });
+}
+
+/**
+ * Tokens of a .strings file: comments, quoted and unquoted strings and the "=" and ";" separators
+ *
+ * @param {string} content
+ */
+function* tokenize(content) {
+  const pattern = /\/\*([\s\S]*?)\*\/|\/\/([^\n]*)|"((?:[^"\\]|\\.)*)"|([=;])|([^\s=;"/]+)/g;
+  for (const match of content.matchAll(pattern)) {
+    const position = { start: match.index, end: match.index + match[0].length };
+    if (match[1] !== undefined || match[2] !== undefined) {
+      yield { type: 'comment', value: (match[1] ?? match[2]).trim(), ...position };
+    } else if (match[3] !== undefined) {
+      yield { type: 'string', value: unescapeStrings(match[3]), ...position };
+    } else if (match[4] !== undefined) {
+      yield { type: match[4], value: match[4], ...position };
+    } else {
+      yield { type: 'string', value: match[5], ...position };
+    }
+  }
+}
+
+/**
+ * Entries of the file with the comment describing them
+ *
+ * @param {string} content
+ */
+function parseEntries(content) {
+  const entries = [];
+  let comment;
+  let pending = [];
+  for (const token of tokenize(content)) {
+    if (token.type === 'comment') {
+      // a comment describes the entry that follows it
+      if (pending.length === 0) comment = token;
+      continue;
+    }
+    if (token.type !== ';') {
+      pending.push(token);
+      continue;
+    }
+    const [key, separator, value] = pending;
+    if (key?.type === 'string' && separator?.type === '=' && value?.type === 'string') {
+      entries.push({ key: key.value, text: value.value, comment, start: key.start });
+    } else if (key?.type === 'string' && pending.length === 1) {
+      // "key"; is a string whose text is its key
+      entries.push({ key: key.value, text: key.value, comment, start: key.start });
+    }
+    pending = [];
+    comment = undefined;
+  }
+  return entries;
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const appleStringsFormat = {
+  name: 'strings',
+  title: 'iOS / macOS .strings',
+  fileType: 'macosx',
+  filePattern: /\.strings$/i,
+
+  parse(content) {
+    return parseEntries(content).map(({ key, text, comment }) => ({ key, text, context: comment?.value || undefined }));
+  },
+
+  write(content, contexts) {
+    const edits = [];
+    for (const entry of parseEntries(content)) {
+      const aiContext = contexts.get(entry.key);
+      if (!aiContext) continue;
+      const text = `/* ${mergeAiContext(entry.comment?.value, aiContext).replace(/\*\//g, '* /')} */`;
+      if (entry.comment) {
+        edits.push({ start: entry.comment.start, end: entry.comment.end, text });
+      } else {
+        edits.push({ start: entry.start, end: entry.start, text: `${text}\n${getIndentation(content, entry.start)}` });
+      }
+    }
+    return applyEdits(content, edits);
+  },
+};
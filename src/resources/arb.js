@@ -0,0 +1,34 @@
+// @ts-check
+import { mergeAiContext, stringifyJsonLike } from './edit.js';
+
+/** @type {import('./index.js').ResourceFormat} */
+export const arbFormat = {
+  name: 'arb',
+  title: 'Flutter ARB',
+  fileType: 'arb',
+  filePattern: /\.arb$/i,
+
+  parse(content) {
+    const resources = JSON.parse(content);
+    return Object.entries(resources)
+      .filter(([key, value]) => !key.startsWith('@') && typeof value === 'string')
+      .map(([key, text]) => ({ key, text, context: resources[`@${key}`]?.description || undefined }));
+  },
+
+  write(content, contexts) {
+    const resources = JSON.parse(content);
+    const result = {};
+    for (const [key, value] of Object.entries(resources)) {
+      // the metadata of a string is written right after it
+      const described = key.slice(1);
+      if (key.startsWith('@') && contexts.has(described) && typeof resources[described] === 'string') continue;
+      result[key] = value;
+      const aiContext = typeof value === 'string' && !key.startsWith('@') ? contexts.get(key) : undefined;
+      if (aiContext) {
+        const metadata = resources[`@${key}`] || {};
+        result[`@${key}`] = { ...metadata, description: mergeAiContext(metadata.description, aiContext) };
+      }
+    }
+    return stringifyJsonLike(result, content);
+  },
+};
@@ -0,0 +1,75 @@
+// @ts-check
+import { appendAiContext, AI_CONTEXT_SECTION_START } from '../utils.js';
+
+/**
+ * @typedef {object} Edit
+ * @property {number} start
+ * @property {number} end
+ * @property {string} text replaces the content between start and end, equal offsets insert it
+ */
+
+/**
+ * Comment of a string with its AI context section replaced (or added below the comment written by the developers),
+ * so exporting again does not repeat the section
+ *
+ * @param {string | undefined} comment
+ * @param {string[]} aiContext
+ */
+function mergeAiContext(comment, aiContext) {
+  const existing = (comment || '').trim();
+  // the section starts the comment when the file had no comment before the first export
+  return appendAiContext(existing.startsWith(AI_CONTEXT_SECTION_START) ? `\n\n${existing}` : existing, aiContext).trim();
+}
+
+/**
+ * @param {string} content
+ * @param {Edit[]} edits edits of the original content, they must not overlap
+ */
+function applyEdits(content, edits) {
+  let result = content;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Whitespace the line of the offset starts with, empty when there is other text before the offset
+ *
+ * @param {string} content
+ * @param {number} offset
+ */
+function getIndentation(content, offset) {
+  const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+  const before = content.slice(lineStart, offset);
+  return /^[ \t]*$/.test(before) ? before : '';
+}
+
+/**
+ * Serializes JSON in the style of the original file: its indentation, the spacing around colons
+ * (Xcode writes `"key" : value`) and the final newline
+ *
+ * @param {unknown} value
+ * @param {string} original
+ */
+function stringifyJsonLike(value, original) {
+  const indent = original.match(/\n([ \t]+)\S/)?.[1] ?? '  ';
+  const colon = /"\s+:\s/.test(original) ? ' : ' : ': ';
+
+  const stringify = (item, depth) => {
+    if (item === null || typeof item !== 'object') return JSON.stringify(item);
+    const padding = indent.repeat(depth + 1);
+    const closing = indent.repeat(depth);
+    if (Array.isArray(item)) {
+      if (item.length === 0) return '[]';
+      return `[\n${item.map(child => padding + stringify(child, depth + 1)).join(',\n')}\n${closing}]`;
+    }
+    const entries = Object.entries(item).filter(([, child]) => child !== undefined);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, child]) => `${padding}${JSON.stringify(key)}${colon}${stringify(child, depth + 1)}`).join(',\n')}\n${closing}}`;
+  };
+
+  return stringify(value, 0) + (original.endsWith('\n') ? '\n' : '');
+}
+
+export { mergeAiContext, applyEdits, getIndentation, stringifyJsonLike };
@@ -0,0 +1,178 @@
+// @ts-check
+import fs from 'fs';
+import path from 'path';
+import { globSync } from 'glob';
+import { jsonFormat } from './json.js';
+import { yamlFormat } from './yaml.js';
+import { androidFormat } from './android.js';
+import { appleStringsFormat } from './apple-strings.js';
+import { xcstringsFormat } from './xcstrings.js';
+import { poFormat } from './po.js';
+import { xliffFormat } from './xliff.js';
+import { arbFormat } from './arb.js';
+import { resxFormat } from './resx.js';
+
+/**
+ * @typedef {object} ResourceEntry
+ * @property {string} key
+ * @property {string} text source text
+ * @property {string} [context] comment or description of the string in the file
+ */
+
+/**
+ * Localization file format, parses the source strings of local resource files
+ *
+ * @typedef {object} ResourceFormat
+ * @property {string} name
+ * @property {string} title
+ * @property {string} fileType Crowdin file type, the localization framework adapters build their search patterns from it
+ * @property {RegExp} filePattern matches the paths of the files in this format
+ * @property {(content: string) => ResourceEntry[]} parse
+ * @property {(content: string, contexts: Map<string, string[]>) => string} [write] writes the AI context of the strings
+ * (by key) into the comment or description slot of the format, the rest of the file is kept as it is
+ */
+
+/** @type {ResourceFormat[]} */
+const RESOURCE_FORMATS = [
+  arbFormat,
+  xcstringsFormat,
+  jsonFormat,
+  yamlFormat,
+  androidFormat,
+  appleStringsFormat,
+  poFormat,
+  xliffFormat,
+  resxFormat,
+];
+
+/**
+ * @param {string} filePath
+ * @returns {ResourceFormat | undefined}
+ */
+function getResourceFormat(filePath) {
+  return RESOURCE_FORMATS.find(format => format.filePattern.test(filePath));
+}
+
+/**
+ * Reads a resource file, .strings files are often UTF-16 encoded
+ *
+ * @param {string} filePath
+ */
+function readResourceFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^﻿/, '');
+}
+
+/**
+ * Writes a resource file in the encoding it has on disk
+ *
+ * @param {string} filePath
+ * @param {string} content
+ */
+function writeResourceFile(filePath, content) {
+  const header = fs.readFileSync(filePath).subarray(0, 3);
+  if (header[0] === 0xff && header[1] === 0xfe) {
+    fs.writeFileSync(filePath, Buffer.concat([header.subarray(0, 2), Buffer.from(content, 'utf16le')]));
+  } else if (header[0] === 0xfe && header[1] === 0xff) {
+    fs.writeFileSync(filePath, Buffer.concat([header.subarray(0, 2), Buffer.from(content, 'utf16le').swap16()]));
+  } else if (header[0] === 0xef && header[1] === 0xbb && header[2] === 0xbf) {
+    fs.writeFileSync(filePath, `\ufeff${content}`);
+  } else {
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+/**
+ * Loads the source strings of the local resource files matching the pattern, for harvesting strings that are not in
+ * Crowdin yet. The strings are shaped like Crowdin strings, their ID is "<file path>#<key>" until they are uploaded.
+ *
+ * @param {object} param0
+ * @param {string} param0.pattern glob pattern relative to the working directory
+ * @param {string} param0.workingDir
+ * @returns {{ strings: Array<object>, files: string[], skipped: Array<{ file: string, reason: string }> }}
+ */
+function loadResourceStrings({ pattern, workingDir }) {
+  const files = globSync(pattern, { cwd: workingDir, nodir: true, ignore: ['**/node_modules/**', '**/.git/**'] })
+    .map(file => file.split(path.sep).join('/'))
+    .sort();
+  const strings = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const format = getResourceFormat(file);
+    if (!format) {
+      skipped.push({ file, reason: 'unsupported format' });
+      continue;
+    }
+    try {
+      for (const entry of format.parse(readResourceFile(path.join(workingDir, file)))) {
+        strings.push({
+          id: `${file}#${entry.key}`,
+          text: entry.text,
+          identifier: entry.key,
+          context: entry.context || '',
+          filePath: file,
+          fileType: format.fileType,
+        });
+      }
+    } catch (error) {
+      skipped.push({ file, reason: error.message });
+    }
+  }
+
+  return { strings, files, skipped };
+}
+
+/**
+ * Writes the AI context of strings harvested from local resource files back into the files, into the comment or
+ * description slot of their format. Formats without such a slot (JSON, YAML) are skipped.
+ *
+ * @param {object} param0
+ * @param {Array<{ filePath: string, identifier: string, aiContext?: string[] }>} param0.strings
+ * @param {string} param0.workingDir
+ * @returns {{ updatedCount: number, files: string[], skipped: Array<{ file: string, reason: string }> }}
+ */
+function writeResourceContexts({ strings, workingDir }) {
+  /** @type {Map<string, Map<string, string[]>>} */
+  const contextsByFile = new Map();
+  for (const string of strings) {
+    if (!string.aiContext?.length) continue;
+    if (!contextsByFile.has(string.filePath)) {
+      contextsByFile.set(string.filePath, new Map());
+    }
+    contextsByFile.get(string.filePath)?.set(string.identifier, string.aiContext);
+  }
+
+  let updatedCount = 0;
+  const files = [];
+  const skipped = [];
+  for (const [file, contexts] of contextsByFile) {
+    const format = getResourceFormat(file);
+    if (!format?.write) {
+      skipped.push({ file, reason: `${format?.title || 'the format'} has no comment for the context` });
+      continue;
+    }
+    const filePath = path.join(workingDir, file);
+    try {
+      const content = readResourceFile(filePath);
+      const updated = format.write(content, contexts);
+      if (updated !== content) {
+        writeResourceFile(filePath, updated);
+        files.push(file);
+        updatedCount += format.parse(content).filter(entry => contexts.has(entry.key)).length;
+      }
+    } catch (error) {
+      skipped.push({ file, reason: error.message });
+    }
+  }
+
+  return { updatedCount, files, skipped };
+}
+
+export { RESOURCE_FORMATS, getResourceFormat, readResourceFile, writeResourceFile, loadResourceStrings, writeResourceContexts };
@@ -0,0 +1,31 @@
+// @ts-check
+
+/**
+ * Flattens nested objects into entries with dot separated keys, e.g. "settings.profile.title"
+ *
+ * @param {unknown} value
+ * @param {string} prefix
+ * @param {import('./index.js').ResourceEntry[]} entries
+ */
+function flatten(value, prefix, entries) {
+  if (typeof value === 'string') {
+    entries.push({ key: prefix, text: value });
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, entries);
+    }
+  }
+  return entries;
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const jsonFormat = {
+  name: 'json',
+  title: 'JSON',
+  fileType: 'json',
+  filePattern: /\.json$/i,
+
+  parse(content) {
+    return flatten(JSON.parse(content), '', []);
+  },
+};
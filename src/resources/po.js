@@ -0,0 +1,112 @@
+// @ts-check
+import { mergeAiContext } from './edit.js';
+
+// separates the msgctxt and the msgid in the keys, as in compiled .mo files
+const CONTEXT_SEPARATOR = '\u0004';
+
+/**
+ * @param {string} text quoted PO string
+ */
+function unquote(text) {
+  return text
+    .trim()
+    .slice(1, -1)
+    .replace(/\\(.)/g, (_, escaped) => ({ n: '\n', t: '\t', r: '\r' })[escaped] ?? escaped);
+}
+
+/**
+ * @typedef {object} PoEntry
+ * @property {string} [msgctxt]
+ * @property {string} [msgid]
+ * @property {string[]} comments extracted comments (#.)
+ * @property {number[]} commentLines indexes of the extracted comment lines
+ * @property {number} startLine index of the first line
+ * @property {number} bodyLine index of the first line after the translator comments, extracted comments are added there
+ * @property {boolean} obsolete
+ */
+
+/**
+ * Entries of a PO file, in the order of the file
+ *
+ * @param {string[]} lines
+ * @returns {PoEntry[]}
+ */
+function parseEntries(lines) {
+  const entries = [];
+  let entry;
+  let field;
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.length === 0) {
+      entry = undefined;
+      field = undefined;
+      return;
+    }
+    if (!entry) {
+      entry = { comments: [], commentLines: [], startLine: index, bodyLine: index, obsolete: false };
+      entries.push(entry);
+    }
+    // translator comments ("# ...") come first
+    if (entry.bodyLine === index && (trimmed === '#' || trimmed.startsWith('# '))) {
+      entry.bodyLine = index + 1;
+    }
+    if (trimmed.startsWith('#~')) {
+      entry.obsolete = true;
+    } else if (trimmed.startsWith('#.')) {
+      entry.comments.push(trimmed.slice(2).trim());
+      entry.commentLines.push(index);
+    } else if (trimmed.startsWith('#')) {
+      return;
+    } else if (trimmed.startsWith('"')) {
+      if (field) entry[field] += unquote(trimmed);
+    } else {
+      const match = trimmed.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+(".*")$/);
+      field = match ? match[1] : undefined;
+      if (match) entry[field] = unquote(match[2]);
+    }
+  });
+  // the entry with the empty msgid is the header
+  return entries.filter(item => !item.obsolete && item.msgid);
+}
+
+/**
+ * @param {PoEntry} entry
+ */
+function getKey(entry) {
+  return entry.msgctxt !== undefined ? `${entry.msgctxt}${CONTEXT_SEPARATOR}${entry.msgid}` : String(entry.msgid);
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const poFormat = {
+  name: 'po',
+  title: 'Gettext PO',
+  fileType: 'gettext',
+  filePattern: /\.pot?$/i,
+
+  parse(content) {
+    return parseEntries(content.split(/\r?\n/)).map(entry => ({
+      key: getKey(entry),
+      text: String(entry.msgid),
+      context: entry.comments.join('\n') || undefined,
+    }));
+  },
+
+  write(content, contexts) {
+    const newline = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    // from the last entry, so the line indexes of the previous entries stay valid
+    for (const entry of parseEntries(lines).reverse()) {
+      const aiContext = contexts.get(getKey(entry));
+      if (!aiContext) continue;
+      const comments = mergeAiContext(entry.comments.join('\n'), aiContext)
+        .split('\n')
+        .map(line => (line ? `#. ${line}` : '#.'));
+      const at = entry.commentLines.length > 0 ? entry.commentLines[0] : entry.bodyLine;
+      for (const index of [...entry.commentLines].reverse()) {
+        lines.splice(index, 1);
+      }
+      lines.splice(at, 0, ...comments);
+    }
+    return lines.join(newline);
+  },
+};
@@ -0,0 +1,54 @@
+// @ts-check
+import { findElements, decodeXmlText, encodeXmlText } from './xml.js';
+import { mergeAiContext, applyEdits } from './edit.js';
+
+/**
+ * Text resources of the file, resources with a type are images, files and other objects
+ *
+ * @param {string} content
+ */
+function findTextResources(content) {
+  return findElements(content, 'data').filter(
+    element => element.attributes.name && !element.attributes.type && !element.attributes.mimetype,
+  );
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const resxFormat = {
+  name: 'resx',
+  title: '.NET RESX',
+  fileType: 'resx',
+  filePattern: /\.resx$/i,
+
+  parse(content) {
+    return findTextResources(content).map(element => {
+      const comment = findElements(element.inner, 'comment')[0];
+      return {
+        key: element.attributes.name,
+        text: decodeXmlText(findElements(element.inner, 'value')[0]?.inner ?? ''),
+        context: comment ? decodeXmlText(comment.inner).trim() || undefined : undefined,
+      };
+    });
+  },
+
+  write(content, contexts) {
+    const edits = [];
+    for (const element of findTextResources(content)) {
+      const aiContext = contexts.get(element.attributes.name);
+      if (!aiContext) continue;
+      const comment = findElements(element.inner, 'comment')[0];
+      if (comment) {
+        const text = encodeXmlText(mergeAiContext(decodeXmlText(comment.inner), aiContext));
+        const start = element.innerStart + comment.innerStart;
+        edits.push({ start, end: start + comment.inner.length, text });
+      } else {
+        const value = findElements(element.inner, 'value')[0];
+        // the comment goes below the value, on a line of its own when the value is
+        const whitespace = value ? (element.inner.slice(0, value.start).match(/\s*$/)?.[0] ?? '') : '';
+        const offset = element.innerStart + (value ? value.end : 0);
+        edits.push({ start: offset, end: offset, text: `${whitespace}<comment>${encodeXmlText(mergeAiContext('', aiContext))}</comment>` });
+      }
+    }
+    return applyEdits(content, edits);
+  },
+};
@@ -0,0 +1,50 @@
+// @ts-check
+import { mergeAiContext, stringifyJsonLike } from './edit.js';
+
+/**
+ * Source text of a localization, plural and device variations use their "other" variant
+ *
+ * @param {object} localization
+ * @returns {string | undefined}
+ */
+function getLocalizationText(localization) {
+  if (localization?.stringUnit) return localization.stringUnit.value;
+  for (const variants of Object.values(localization?.variations || {})) {
+    const variant = variants.other || Object.values(variants)[0];
+    const text = getLocalizationText(variant);
+    if (text !== undefined) return text;
+  }
+  return undefined;
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const xcstringsFormat = {
+  name: 'xcstrings',
+  title: 'Xcode String Catalog',
+  fileType: 'xcstrings',
+  filePattern: /\.xcstrings$/i,
+
+  parse(content) {
+    const catalog = JSON.parse(content);
+    return Object.entries(catalog.strings || {})
+      .filter(([, string]) => string?.shouldTranslate !== false)
+      .map(([key, string]) => ({
+        key,
+        // strings without a source localization use the key as their text
+        text: getLocalizationText(string?.localizations?.[catalog.sourceLanguage]) ?? key,
+        context: string?.comment || undefined,
+      }));
+  },
+
+  write(content, contexts) {
+    const catalog = JSON.parse(content);
+    for (const [key, string] of Object.entries(catalog.strings || {})) {
+      const aiContext = contexts.get(key);
+      if (!aiContext || string?.shouldTranslate === false) continue;
+      const { comment, ...rest } = string || {};
+      // Xcode writes the properties in alphabetical order, the comment comes first
+      catalog.strings[key] = { comment: mergeAiContext(comment, aiContext), ...rest };
+    }
+    return stringifyJsonLike(catalog, content);
+  },
+};
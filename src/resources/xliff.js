@@ -0,0 +1,100 @@
+// @ts-check
+import { findElements, decodeXmlText, encodeXmlText } from './xml.js';
+import { applyEdits } from './edit.js';
+
+// marks the note with the AI context, the notes of the developers are kept
+const NOTE_AUTHOR = 'crowdin-context-harvester';
+
+/**
+ * @param {string} inner
+ */
+function getNotes(inner) {
+  const notes = findElements(inner, 'note').map(note => decodeXmlText(note.inner).trim());
+  return notes.filter(Boolean).join('\n') || undefined;
+}
+
+/**
+ * Whitespace before the first child element of an element
+ *
+ * @param {import('./xml.js').XmlElement} element
+ */
+function getChildWhitespace(element) {
+  return element.inner.match(/^\s*/)?.[0] ?? '';
+}
+
+/**
+ * Units of XLIFF 1.2 (trans-unit) and XLIFF 2 (unit) files with their keys
+ *
+ * @param {string} content
+ */
+function findUnits(content) {
+  const units = [
+    ...findElements(content, 'trans-unit').map(element => ({
+      element,
+      key: element.attributes.resname || element.attributes.id,
+      version: 1,
+    })),
+    ...findElements(content, 'unit').map(element => ({ element, key: element.attributes.name || element.attributes.id, version: 2 })),
+  ];
+  return units.filter(unit => unit.key && unit.element.attributes.translate !== 'no');
+}
+
+/**
+ * Edit adding or replacing the note with the AI context of a unit
+ *
+ * @param {{ element: import('./xml.js').XmlElement, version: number }} unit
+ * @param {string} text
+ * @returns {import('./edit.js').Edit}
+ */
+function getNoteEdit({ element, version }, text) {
+  const at = offset => element.innerStart + offset;
+  const notes = findElements(element.inner, 'note');
+  const aiNote = notes.find(note => note.attributes.from === NOTE_AUTHOR || note.attributes.category === NOTE_AUTHOR);
+  if (aiNote) {
+    return { start: at(aiNote.innerStart), end: at(aiNote.innerStart + aiNote.inner.length), text };
+  }
+
+  const whitespace = getChildWhitespace(element);
+  if (version === 1) {
+    const note = `<note from="${NOTE_AUTHOR}">${text}</note>`;
+    // notes follow the source and the target
+    const previous = notes[notes.length - 1] || findElements(element.inner, 'target')[0] || findElements(element.inner, 'source')[0];
+    const offset = previous ? at(previous.end) : element.innerStart;
+    return { start: offset, end: offset, text: `${whitespace}${note}` };
+  }
+
+  const note = `<note category="${NOTE_AUTHOR}">${text}</note>`;
+  const notesElement = findElements(element.inner, 'notes')[0];
+  if (notesElement) {
+    const offset = at(notesElement.innerStart + notesElement.inner.trimEnd().length);
+    return { start: offset, end: offset, text: `${getChildWhitespace(notesElement) || whitespace}${note}` };
+  }
+  // notes are the first child of a unit
+  return { start: element.innerStart, end: element.innerStart, text: `${whitespace}<notes>${note}</notes>` };
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const xliffFormat = {
+  name: 'xliff',
+  title: 'XLIFF',
+  fileType: 'xliff',
+  filePattern: /\.(xliff|xlf)$/i,
+
+  parse(content) {
+    return findUnits(content).map(({ element, key }) => ({
+      key,
+      // the segments of an XLIFF 2 unit are joined
+      text: findElements(element.inner, 'source')
+        .map(source => decodeXmlText(source.inner))
+        .join(''),
+      context: getNotes(element.inner),
+    }));
+  },
+
+  write(content, contexts) {
+    const edits = findUnits(content)
+      .filter(unit => contexts.has(unit.key))
+      .map(unit => getNoteEdit(unit, encodeXmlText(contexts.get(unit.key)?.join('\n') ?? '')));
+    return applyEdits(content, edits);
+  },
+};
@@ -0,0 +1,104 @@
+// @ts-check
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * @typedef {object} XmlElement
+ * @property {Record<string, string>} attributes
+ * @property {string} inner raw content between the tags, empty for a self-closing element
+ * @property {number} start offset of the opening tag
+ * @property {number} innerStart offset of the content
+ * @property {number} end offset after the closing tag
+ */
+
+/**
+ * @param {string} value
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXmlText(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Finds the elements with the tag name, the elements must not contain elements with the same name.
+ * Resource files are regular enough to be read this way, and the offsets let the writers change a file
+ * without reformatting it.
+ *
+ * @param {string} content
+ * @param {string} tagName
+ * @param {number} [from] offset to start at
+ * @param {number} [to] offset to stop at
+ * @returns {XmlElement[]}
+ */
+function findElements(content, tagName, from = 0, to = content.length) {
+  const name = escapeRegex(tagName);
+  const pattern = new RegExp(`<${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${name}\\s*>)`, 'g');
+  pattern.lastIndex = from;
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(content)) && match.index < to) {
+    elements.push({
+      attributes: parseAttributes(match[1] || ''),
+      inner: match[2] ?? '',
+      start: match.index,
+      innerStart: match.index + tagName.length + (match[1] || '').length + 2,
+      end: match.index + match[0].length,
+    });
+  }
+  return elements;
+}
+
+/**
+ * Decodes the entities and CDATA sections of XML text, markup of inline elements is kept
+ *
+ * @param {string} text
+ */
+function decodeXmlText(text) {
+  return text
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part =>
+      part.startsWith('<![CDATA[')
+        ? part.slice(9, -3)
+        : part.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+              return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+            }
+            return ENTITIES[code] ?? entity;
+          }),
+    )
+    .join('');
+}
+
+/**
+ * @param {string} text
+ */
+function encodeXmlText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * XML comment right before the offset, only whitespace may separate them
+ *
+ * @param {string} content
+ * @param {number} offset
+ * @returns {{ text: string, start: number, end: number } | undefined}
+ */
+function findPrecedingComment(content, offset) {
+  const before = content.slice(0, offset).trimEnd();
+  if (!before.endsWith('-->')) return undefined;
+  const start = before.lastIndexOf('<!--');
+  return start === -1 ? undefined : { text: before.slice(start + 4, -3).trim(), start, end: before.length };
+}
+
+export { findElements, parseAttributes, decodeXmlText, encodeXmlText, findPrecedingComment };
@@ -0,0 +1,48 @@
+// @ts-check
+import { parseDocument, isMap, isScalar, isSeq } from 'yaml';
+
+// root key of Rails and Symfony locale files, e.g. "en:" or "pt-BR:", it is not part of the keys used in the code
+const LOCALE_KEY = /^[a-z]{2,3}([-_][A-Za-z]{2,4})?$/;
+
+/**
+ * @param {unknown} node
+ * @param {string} prefix
+ * @param {string | undefined} comment comment above the key of the node
+ * @param {import('./index.js').ResourceEntry[]} entries
+ */
+function flatten(node, prefix, comment, entries) {
+  if (isScalar(node) && typeof node.value === 'string') {
+    entries.push({ key: prefix, text: node.value, context: comment?.trim() || undefined });
+  } else if (isMap(node)) {
+    node.items.forEach((pair, index) => {
+      const key = isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+      // the comment above the first key of a nested map belongs to the map
+      // @ts-ignore
+      const keyComment = pair.key?.commentBefore ?? (index === 0 ? node.commentBefore : undefined);
+      flatten(pair.value, prefix ? `${prefix}.${key}` : key, keyComment, entries);
+    });
+  } else if (isSeq(node)) {
+    node.items.forEach((item, index) => flatten(item, `${prefix}.${index}`, undefined, entries));
+  }
+  return entries;
+}
+
+/** @type {import('./index.js').ResourceFormat} */
+export const yamlFormat = {
+  name: 'yaml',
+  title: 'YAML',
+  fileType: 'yaml',
+  filePattern: /\.ya?ml$/i,
+
+  parse(content) {
+    const document = parseDocument(content);
+    if (document.errors.length > 0) {
+      throw new Error(document.errors[0].message);
+    }
+    let root = document.contents;
+    if (isMap(root) && root.items.length === 1 && isScalar(root.items[0].key) && LOCALE_KEY.test(String(root.items[0].key.value))) {
+      root = root.items[0].value;
+    }
+    return flatten(root, '', undefined, []);
+  },
+};
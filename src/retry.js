@@ -0,0 +1,256 @@
+//@ts-check
+
+const DEFAULT_RETRIES = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+// a provider asking to wait longer than this is not waited for, the string fails instead
+const MAX_RETRY_AFTER_MS = 5 * 60000;
+
+// throttled workers are removed at most once per window, parallel requests usually fail together
+const THROTTLE_WINDOW_MS = 10000;
+// a removed worker is added back after this long without throttling
+const RECOVERY_INTERVAL_MS = 30000;
+
+/**
+ * @typedef {'rate_limit' | 'timeout' | 'network' | 'server' | 'auth' | 'context_length' | 'other'} ErrorType
+ */
+
+// retrying these errors can succeed
+const RETRYABLE_TYPES = ['rate_limit', 'timeout', 'network', 'server'];
+// every following request fails the same way
+const FATAL_TYPES = ['auth'];
+
+const ERROR_LABELS = {
+  rate_limit: 'rate limit',
+  timeout: 'timeout',
+  network: 'network error',
+  server: 'provider error',
+  auth: 'authentication error',
+  context_length: 'context too long',
+  other: 'error',
+};
+
+/**
+ * @param {object} error
+ * @returns {number | undefined}
+ */
+function getStatus(error) {
+  const status = error?.status ?? error?.response?.status ?? error?.statusCode ?? error?.code;
+  return Number.isInteger(Number(status)) && Number(status) >= 100 ? Number(status) : undefined;
+}
+
+/**
+ * @param {object} error
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function getHeader(error, name) {
+  for (const headers of [error?.headers, error?.response?.headers, error?.error?.headers]) {
+    if (!headers) continue;
+    const value = typeof headers.get === 'function' ? headers.get(name) : (headers[name] ?? headers[name.toLowerCase()]);
+    if (value !== undefined && value !== null) return String(value);
+  }
+}
+
+/**
+ * Delay requested by the provider with the Retry-After (seconds or HTTP date) or retry-after-ms headers
+ *
+ * @param {object} error
+ * @returns {number | undefined} milliseconds
+ */
+function getRetryAfter(error) {
+  const milliseconds = Number(getHeader(error, 'retry-after-ms'));
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) return milliseconds;
+
+  const value = getHeader(error, 'retry-after');
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classifies an error of an AI provider or Crowdin API call by its HTTP status, error code and message
+ *
+ * @param {unknown} err
+ * @returns {{ type: ErrorType, status?: number, retryable: boolean, fatal: boolean, retryAfterMs?: number, message: string }}
+ */
+function classifyError(err) {
+  /** @type {any} */
+  const error = err;
+  const status = getStatus(error);
+  const code = String(error?.code ?? error?.cause?.code ?? error?.lc_error_code ?? '');
+  const message = String(error?.message || error);
+
+  /** @type {ErrorType} */
+  let type = 'other';
+  if (
+    /context.{0,20}(length|window)|maximum context|too many tokens|prompt is too long|input is too long|reduce the length/i.test(message)
+  ) {
+    type = 'context_length';
+  } else if (status === 429 || code === 'MODEL_RATE_LIMIT' || /rate.?limit|too many requests|overloaded/i.test(message)) {
+    type = 'rate_limit';
+  } else if (status === 401 || status === 403 || code === 'MODEL_AUTHENTICATION' || /invalid.{0,10}api.?key|unauthorized/i.test(message)) {
+    type = 'auth';
+  } else if (status === 408 || ['ETIMEDOUT', 'ECONNABORTED'].includes(code) || /timed? ?out/i.test(message)) {
+    type = 'timeout';
+  } else if (
+    ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'].includes(code) ||
+    /fetch failed|socket hang up|network/i.test(message)
+  ) {
+    type = 'network';
+  } else if (status && status >= 500) {
+    // 529 is Anthropic's "overloaded"
+    type = status === 529 ? 'rate_limit' : 'server';
+  }
+
+  return {
+    type,
+    status,
+    retryable: RETRYABLE_TYPES.includes(type),
+    fatal: FATAL_TYPES.includes(type),
+    retryAfterMs: getRetryAfter(error),
+    message,
+  };
+}
+
+/**
+ * Exponential backoff with jitter, the Retry-After delay of the provider takes precedence
+ *
+ * @param {number} attempt first retry is 0
+ * @param {number} [retryAfterMs]
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== undefined) {
+    // a little jitter, so the waiting requests do not all come back at the same moment
+    return retryAfterMs + Math.round(Math.random() * BASE_DELAY_MS);
+  }
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timeout = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeout);
+        reject(signal.reason);
+      },
+      { once: true },
+    );
+  });
+}
+
+/**
+ * Calls the function until it succeeds, retrying rate limits, timeouts, network and server errors with backoff
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {object} [param1]
+ * @param {number} [param1.retries]
+ * @param {(error: ReturnType<typeof classifyError>) => boolean} [param1.shouldRetry] narrows the retried errors
+ * @param {(error: ReturnType<typeof classifyError>, delayMs: number, attempt: number) => void} [param1.onRetry]
+ * @param {AbortSignal} [param1.signal]
+ * @returns {Promise<T>}
+ */
+async function withRetry(fn, { retries = DEFAULT_RETRIES, shouldRetry = () => true, onRetry, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const error = classifyError(err);
+      const exhausted = attempt >= retries || (error.retryAfterMs ?? 0) > MAX_RETRY_AFTER_MS;
+      if (!error.retryable || !shouldRetry(error) || exhausted || signal?.aborted) {
+        throw err;
+      }
+      const delay = getRetryDelay(attempt, error.retryAfterMs);
+      onRetry?.(error, delay, attempt);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Concurrency limit shrinking when the provider throttles the requests and growing back when it stops.
+ * The limit is halved at most once per throttle window and one worker is added back per recovery interval.
+ *
+ * @param {number} max
+ */
+function createAdaptiveConcurrency(max) {
+  let limit = Math.max(1, max);
+  let lastChange = 0;
+  let lastThrottle = 0;
+  let throttleCount = 0;
+
+  return {
+    get limit() {
+      return limit;
+    },
+    get throttleCount() {
+      return throttleCount;
+    },
+    throttle() {
+      const now = Date.now();
+      throttleCount++;
+      lastThrottle = now;
+      if (limit > 1 && now - lastChange >= THROTTLE_WINDOW_MS) {
+        limit = Math.max(1, Math.floor(limit / 2));
+        lastChange = now;
+      }
+    },
+    // called when an item is completed
+    recover() {
+      const now = Date.now();
+      if (limit < max && now - lastThrottle >= RECOVERY_INTERVAL_MS && now - lastChange >= RECOVERY_INTERVAL_MS) {
+        limit++;
+        lastChange = now;
+      }
+    },
+  };
+}
+
+/**
+ * HTTP client for the Crowdin API client retrying throttled and failed requests. Requests changing data are only
+ * retried when the API rejected them without processing (rate limits and 503), to not repeat them.
+ *
+ * @param {object} httpClient default HTTP client of the Crowdin API client
+ * @param {object} [param1]
+ * @param {number} [param1.retries]
+ */
+function createRetryingHttpClient(httpClient, { retries = DEFAULT_RETRIES } = {}) {
+  const isRejected = error => error.type === 'rate_limit' || error.status === 503;
+  return {
+    get: (url, config) => withRetry(() => httpClient.get(url, config), { retries }),
+    head: (url, config) => withRetry(() => httpClient.head(url, config), { retries }),
+    delete: (url, config) => withRetry(() => httpClient.delete(url, config), { retries, shouldRetry: isRejected }),
+    post: (url, data, config) => withRetry(() => httpClient.post(url, data, config), { retries, shouldRetry: isRejected }),
+    put: (url, data, config) => withRetry(() => httpClient.put(url, data, config), { retries, shouldRetry: isRejected }),
+    patch: (url, data, config) => withRetry(() => httpClient.patch(url, data, config), { retries, shouldRetry: isRejected }),
+  };
+}
+
+/**
+ * @param {ErrorType} type
+ */
+function formatErrorType(type) {
+  return ERROR_LABELS[type] || type;
+}
+
+export {
+  DEFAULT_RETRIES,
+  classifyError,
+  getRetryDelay,
+  withRetry,
+  sleep,
+  createAdaptiveConcurrency,
+  createRetryingHttpClient,
+  formatErrorType,
+};
@@ -0,0 +1,231 @@
+//@ts-check
+import fs from 'fs';
+import path from 'path';
+import { runRipgrep } from './search.js';
+import { isSupportedFile, getSymbols, getEnclosingSymbols } from './agent/symbols.js';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif'];
+// directories Storybook, Jest, Playwright, Cypress, Paparazzi, Roborazzi, snapshot testing etc. save screenshots to
+const SNAPSHOT_DIRS = ['__screenshots__', '__image_snapshots__', '__snapshots__', 'screenshots', 'snapshots', 'snapshots-output'];
+const TEST_FILE = /\.(test|spec|stories|story|snapshot|e2e)$/i;
+// shorter names match too many unrelated images
+const MIN_NAME_LENGTH = 4;
+const GENERIC_NAMES = ['index', 'main', 'app', 'view', 'page', 'screen', 'component', 'utils', 'strings', 'messages'];
+const MAX_SCREENSHOTS = 3;
+
+/** @type {Map<string, { images: string[], tests: string[] }>} */
+const fileLists = new Map();
+
+/**
+ * Image and test files of the working directory (relative paths), listed once per run
+ *
+ * @param {string} workingDir
+ */
+function getFileLists(workingDir) {
+  let lists = fileLists.get(workingDir);
+  if (!lists) {
+    const files = runRipgrep(['--files', '.'], workingDir)
+      .split('\n')
+      .filter(Boolean)
+      .map(file => file.replace(/^\.[\\/]/, ''));
+    lists = {
+      images: files.filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).slice(1).toLowerCase())),
+      tests: files.filter(file => TEST_FILE.test(path.basename(file, path.extname(file)))),
+    };
+    fileLists.set(workingDir, lists);
+  }
+  return lists;
+}
+
+/**
+ * Lowercase name without separators, so CheckoutButton, checkout-button and checkout_button are equal
+ *
+ * @param {string} name
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * File name without the extension and the test or story suffix
+ *
+ * @param {string} file
+ */
+function getBaseName(file) {
+  return path.basename(file, path.extname(file)).replace(TEST_FILE, '');
+}
+
+/**
+ * Names of the components a code reference points to: the file name and the enclosing components and classes
+ *
+ * @param {object} param0
+ * @param {string} param0.file relative to the working directory
+ * @param {number} param0.line
+ * @param {string} param0.workingDir
+ * @returns {string[]} normalized names
+ */
+function getComponentNames({ file, line, workingDir }) {
+  const names = [getBaseName(file)];
+  const absolutePath = path.resolve(workingDir, file);
+  if (isSupportedFile(absolutePath)) {
+    try {
+      const symbols = getSymbols(fs.readFileSync(absolutePath, 'utf8'), absolutePath);
+      for (const symbol of getEnclosingSymbols(symbols, line)) {
+        if (['component', 'class'].includes(symbol.kind)) names.push(symbol.name);
+      }
+    } catch {
+      // the file name is still used
+    }
+  }
+  return names.map(normalizeName).filter(name => name.length >= MIN_NAME_LENGTH && !GENERIC_NAMES.includes(name));
+}
+
+/**
+ * @param {string} file
+ */
+function isInSnapshotDir(file) {
+  return path
+    .dirname(file)
+    .split(/[\\/]/)
+    .some(dir => SNAPSHOT_DIRS.includes(dir));
+}
+
+/**
+ * Finds screenshots of the components the context references point to. An image matches by naming convention,
+ * when its name or directory contains the component name (e.g. checkout-button--primary.png for CheckoutButton),
+ * or by proximity, when it is in a snapshot directory next to the component or to its test or story file.
+ *
+ * @param {object} param0
+ * @param {object} param0.context context with references ("path:line")
+ * @param {string} param0.workingDir
+ * @param {number} [param0.limit]
+ * @returns {string[]} image paths relative to the working directory, best matches first
+ */
+function findScreenshots({ context, workingDir, limit = MAX_SCREENSHOTS }) {
+  /** @type {Array<{ file: string, line: number }>} */
+  const references = (context?.references || [])
+    .map(reference => /^(.+?):(\d+)(?:-\d+)?$/.exec(reference))
+    .filter(match => match && match[1] !== 'commit')
+    .map(match => ({ file: match[1], line: Number(match[2]) }));
+  if (references.length === 0) return [];
+
+  const { images, tests } = getFileLists(workingDir);
+  /** @type {Map<string, number>} */
+  const scores = new Map();
+  const addScore = (image, score) => scores.set(image, Math.max(scores.get(image) || 0, score));
+
+  for (const reference of references) {
+    const names = getComponentNames({ ...reference, workingDir });
+    if (names.length === 0) continue;
+
+    // directories of the component and of its tests and stories
+    const dirs = new Set([path.dirname(reference.file)]);
+    for (const test of tests) {
+      if (names.includes(normalizeName(getBaseName(test)))) dirs.add(path.dirname(test));
+    }
+
+    // images in the snapshot directories are only used when none is named after the component,
+    // they often belong to other components tested next to it
+    const nearby = [];
+    let named = false;
+    for (const image of images) {
+      const imageName = normalizeName(path.basename(image, path.extname(image)));
+      const imageDirs = path.dirname(image).split(/[\\/]/).map(normalizeName);
+      if (names.some(name => imageName.startsWith(name))) {
+        addScore(image, 3);
+        named = true;
+      } else if (names.some(name => imageName.includes(name) || imageDirs.includes(name))) {
+        addScore(image, 2);
+        named = true;
+      } else if (isInSnapshotDir(image) && [...dirs].some(dir => image.startsWith(dir === '.' ? '' : `${dir}/`))) {
+        nearby.push(image);
+      }
+    }
+    if (!named) {
+      nearby.forEach(image => addScore(image, 1));
+    }
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([image]) => image);
+}
+
+/**
+ * Parses the screenshots CSV column, paths of multiple contexts are on separate lines
+ *
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+function parseScreenshotsColumn(value) {
+  return [
+    ...new Set(
+      String(value || '')
+        .split(/[\n,]/)
+        .map(file => file.trim())
+        .filter(Boolean),
+    ),
+  ];
+}
+
+/**
+ * Uploads the screenshots found for the strings to Crowdin and tags them with the strings. Every image is uploaded
+ * once and tagged with all strings it was found for, screenshots uploaded by a previous run are updated and keep their tags.
+ *
+ * @param {object} param0
+ * @param {object} param0.apiClient
+ * @param {number} param0.project
+ * @param {Array<{ id: number, screenshots: string[] }>} param0.strings
+ * @param {string} param0.workingDir directory the screenshot paths are relative to
+ * @param {(message: string) => void} [param0.onProgress]
+ * @returns {Promise<{ uploaded: number, tagged: number, missing: string[] }>}
+ */
+async function uploadScreenshots({ apiClient, project, strings, workingDir, onProgress = () => {} }) {
+  /** @type {Map<string, Set<number>>} */
+  const stringsByImage = new Map();
+  for (const string of strings) {
+    for (const image of string.screenshots) {
+      if (!stringsByImage.has(image)) stringsByImage.set(image, new Set());
+      stringsByImage.get(image)?.add(Number(string.id));
+    }
+  }
+
+  const existing = new Map(
+    (await apiClient.screenshotsApi.withFetchAll().listScreenshots(project)).data.map(screenshot => [
+      screenshot.data.name,
+      screenshot.data,
+    ]),
+  );
+
+  let uploaded = 0;
+  let tagged = 0;
+  const missing = [];
+  for (const [image, stringIds] of stringsByImage) {
+    const absolutePath = path.resolve(workingDir, image);
+    if (!fs.existsSync(absolutePath)) {
+      missing.push(image);
+      continue;
+    }
+    onProgress(image);
+
+    // the path keeps the names unique, so the next upload updates the same screenshot
+    const name = image.split(/[\\/]/).join('_');
+    const storage = await apiClient.uploadStorageApi.addStorage(path.basename(image), fs.readFileSync(absolutePath));
+    const screenshot = existing.has(name)
+      ? await apiClient.screenshotsApi.updateScreenshot(project, existing.get(name).id, { storageId: storage.data.id, name })
+      : await apiClient.screenshotsApi.addScreenshot(project, { storageId: storage.data.id, name, autoTag: false });
+    // strings tagged by previous runs keep their tags
+    const previousIds = (existing.get(name)?.tags || []).map(tag => tag.stringId);
+    await apiClient.screenshotsApi.replaceTags(
+      project,
+      screenshot.data.id,
+      [...new Set([...previousIds, ...stringIds])].map(stringId => ({ stringId })),
+    );
+    uploaded++;
+    tagged += stringIds.size;
+  }
+  return { uploaded, tagged, missing };
+}
+
+export { IMAGE_EXTENSIONS, findScreenshots, parseScreenshotsColumn, uploadScreenshots };
@@ -0,0 +1,238 @@
+//@ts-check
+import { spawnSync } from 'child_process';
+import { rgPath } from 'vscode-ripgrep';
+import { getWorkspace } from './agent/workspace.js';
+
+const MIN_TERM_LENGTH = 2;
+const SNIPPET_CONTEXT_LINES = 2;
+const MAX_MATCHES_PER_FILE = 2;
+const MAX_SNIPPET_LINE_LENGTH = 300;
+
+// localization files, a string found only in them is not used in the code
+const RESOURCE_FILE_PATTERNS = [
+  /\.(strings|stringsdict|xcstrings|pot?|xliff|xlf|arb|resx)$/i,
+  /(^|\/)values[^/]*\/[^/]+\.xml$/i,
+  // JSON and YAML files are configuration too, only the ones in locale directories or named after a locale count
+  /(^|\/)(locales?|i18n|l10n|lang|langs|languages|translations?|messages)\/(.+\/)?[^/]+\.(json|ya?ml)$/i,
+];
+// JSON files named after a locale, e.g. en.json, pt-BR.json or zh_Hans.json
+const LOCALE_FILE_PATTERN = /(^|\/)([a-z]{2}([-_][a-z0-9]{2,4})?)\.json$/i;
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/**
+ * Checks whether the name is a locale code of a known language, so configuration files like ui.json or db.json are not
+ * taken for localization files
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isLocaleCode(name) {
+  try {
+    const [locale] = Intl.getCanonicalLocales(name.replace(/_/g, '-'));
+    return languageNames.of(locale) !== undefined;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether the file (relative to the working directory) is the resource file of the string or another
+ * localization file, their matches are the translations of the strings and not their usages
+ *
+ * @param {string} file
+ * @param {object} string Crowdin string annotated with filePath
+ * @returns {boolean}
+ */
+function isResourceFile(file, string) {
+  const normalized = file.replace(/\\/g, '/');
+  // Crowdin paths start with a slash, paths of --sourceFiles are relative to the working directory
+  const ownFile = String(string?.filePath || '').replace(/^\//, '');
+  if (ownFile && (normalized === ownFile || normalized.endsWith(`/${ownFile}`))) {
+    return true;
+  }
+  if (RESOURCE_FILE_PATTERNS.some(pattern => pattern.test(normalized))) {
+    return true;
+  }
+  const localeFile = LOCALE_FILE_PATTERN.exec(normalized);
+  return Boolean(localeFile && isLocaleCode(localeFile[2]));
+}
+
+/**
+ * Returns the literal terms a string can be found by in the code: its key and the longest line of its text
+ *
+ * @param {object} string
+ * @returns {string[]}
+ */
+function getSearchTerms(string) {
+  const terms = [];
+  if (string.identifier) {
+    terms.push(String(string.identifier));
+  }
+  if (string.text) {
+    const longestLine = String(string.text)
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .sort((a, b) => b.length - a.length)[0];
+    if (longestLine) {
+      terms.push(longestLine);
+    }
+  }
+  return [...new Set(terms)].filter(term => term.length >= MIN_TERM_LENGTH);
+}
+
+/**
+ * Runs ripgrep with the given arguments in the working directory, applying the workspace ignore rules
+ *
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {string} ripgrep output
+ */
+function runRipgrep(args, cwd) {
+  const proc = spawnSync(rgPath, [...getWorkspace(cwd).getRipgrepArgs(), ...args], { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  if (proc.error) {
+    throw new Error(`ripgrep not available: ${proc.error.message}`);
+  }
+  // exit code 1 means no matches
+  if (proc.status !== 0 && proc.status !== 1) {
+    throw new Error(`ripgrep failed: ${proc.stderr}`);
+  }
+  return proc.stdout;
+}
+
+/**
+ * Returns files (relative to the working directory) containing the exact term
+ *
+ * @param {object} param0
+ * @param {string} param0.term
+ * @param {string} param0.cwd
+ * @param {boolean} [param0.regex] treat the term as a regular expression
+ * @returns {string[]}
+ */
+function findFilesContaining({ term, cwd, regex = false }) {
+  const output = runRipgrep([...(regex ? [] : ['--fixed-strings']), '--files-with-matches', '--no-messages', '--', term, '.'], cwd);
+  return output
+    .split('\n')
+    .filter(line => line.length > 0)
+    .map(file => file.replace(/^\.[\\/]/, ''));
+}
+
+/**
+ * Search patterns of the localization framework adapters followed by the literal key and text
+ *
+ * @param {object} string
+ * @param {Array<{ term: string, regex: boolean }>} patterns
+ * @returns {Array<{ term: string, regex: boolean }>}
+ */
+function getStringPatterns(string, patterns) {
+  return [...patterns, ...getSearchTerms(string).map(term => ({ term, regex: false }))];
+}
+
+/**
+ * Returns files containing the string's key or text, or matching the adapter search patterns. Localization files are
+ * left out, the string is always in its own resource file.
+ *
+ * @param {object} param0
+ * @param {object} param0.string
+ * @param {string} param0.cwd
+ * @param {Array<{ term: string, regex: boolean }>} [param0.patterns] adapter search patterns
+ * @returns {string[]}
+ */
+function findStringFiles({ string, cwd, patterns = [] }) {
+  const files = new Set();
+  for (const { term, regex } of getStringPatterns(string, patterns)) {
+    for (const file of findFilesContaining({ term, cwd, regex })) {
+      if (!isResourceFile(file, string)) {
+        files.add(file);
+      }
+    }
+  }
+  return [...files];
+}
+
+/**
+ * Returns code snippets around the exact matches of the term
+ *
+ * @param {object} param0
+ * @param {string} param0.term
+ * @param {string} param0.cwd
+ * @param {boolean} [param0.regex] treat the term as a regular expression
+ * @returns {Array<{ path: string, line: number, lines: Array<{ line: number, text: string }> }>}
+ */
+function findTermSnippets({ term, cwd, regex = false }) {
+  const output = runRipgrep(
+    [
+      '--json',
+      ...(regex ? [] : ['--fixed-strings']),
+      '--no-messages',
+      '--max-count',
+      String(MAX_MATCHES_PER_FILE),
+      '--context',
+      String(SNIPPET_CONTEXT_LINES),
+      '--',
+      term,
+      '.',
+    ],
+    cwd,
+  );
+
+  /** @type {Map<string, { lines: Map<number, string>, matches: number[] }>} */
+  const files = new Map();
+  for (const row of output.split('\n')) {
+    if (!row) continue;
+    const event = JSON.parse(row);
+    if (event.type !== 'match' && event.type !== 'context') continue;
+    const filePath = String(event.data.path.text ?? '').replace(/^\.[\\/]/, '');
+    if (!files.has(filePath)) {
+      files.set(filePath, { lines: new Map(), matches: [] });
+    }
+    const file = files.get(filePath);
+    const text = String(event.data.lines.text ?? '').replace(/\r?\n$/, '');
+    file?.lines.set(event.data.line_number, text.length > MAX_SNIPPET_LINE_LENGTH ? `${text.slice(0, MAX_SNIPPET_LINE_LENGTH)}...` : text);
+    if (event.type === 'match') {
+      file?.matches.push(event.data.line_number);
+    }
+  }
+
+  const snippets = [];
+  for (const [filePath, file] of files) {
+    for (const line of file.matches) {
+      const lines = [];
+      for (let i = line - SNIPPET_CONTEXT_LINES; i <= line + SNIPPET_CONTEXT_LINES; i++) {
+        const text = file.lines.get(i);
+        if (text !== undefined) {
+          lines.push({ line: i, text });
+        }
+      }
+      snippets.push({ path: filePath, line, lines });
+    }
+  }
+  return snippets;
+}
+
+/**
+ * Returns up to `limit` code snippets matching the string, adapter pattern matches first, then key and text matches.
+ * Snippets of localization files are left out, they only show the string itself.
+ *
+ * @param {object} param0
+ * @param {object} param0.string
+ * @param {string} param0.cwd
+ * @param {number} param0.limit
+ * @param {Array<{ term: string, regex: boolean }>} [param0.patterns] adapter search patterns
+ */
+function findStringSnippets({ string, cwd, limit, patterns = [] }) {
+  const snippets = [];
+  const seen = new Set();
+  for (const { term, regex } of getStringPatterns(string, patterns)) {
+    for (const snippet of findTermSnippets({ term, cwd, regex })) {
+      if (isResourceFile(snippet.path, string)) continue;
+      const location = `${snippet.path}:${snippet.line}`;
+      if (seen.has(location)) continue;
+      seen.add(location);
+      snippets.push(snippet);
+      if (snippets.length >= limit) return snippets;
+    }
+  }
+  return snippets;
+}
+
+export { getSearchTerms, isResourceFile, runRipgrep, findFilesContaining, findStringFiles, findStringSnippets };
@@ -0,0 +1,335 @@
+//@ts-check
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { z } from 'zod';
+import { tool } from '@langchain/core/tools';
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { convertToOpenAITool } from '@langchain/core/utils/function_calling';
+import { createReactAgent } from '@langchain/langgraph/prebuilt';
+import { runAgent, getUsage } from './agent/run.js';
+import { returnContextTool, returnContextsTool } from './agent/tools/index.js';
+import { getChatModel, getPrompt, validateAiProviderFields, formatTokens } from './utils.js';
+
+// tool outputs are cut in the transcript, a whole file read by the agent is rarely needed to debug a run
+const MAX_TRACE_OUTPUT = 10000;
+// lines of a message or tool output printed without --full
+const MAX_PRINTED_LINES = 15;
+
+/**
+ * @param {unknown} content message content, a string or content blocks
+ */
+function getContentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(block => (block.type === 'text' ? block.text : `[${block.type}]`)).join('\n');
+}
+
+/**
+ * @param {string} text
+ */
+function truncateOutput(text) {
+  return text.length > MAX_TRACE_OUTPUT ? { text: text.slice(0, MAX_TRACE_OUTPUT), truncated: true } : { text, truncated: false };
+}
+
+/**
+ * @param {number | string} id
+ */
+function getTraceFileName(id) {
+  return `${String(id).replace(/[^\w.-]/g, '_')}.jsonl`;
+}
+
+/**
+ * Transcript record of a message
+ *
+ * @param {object} message
+ * @param {number} elapsedMs
+ */
+function toRecord(message, elapsedMs) {
+  const type = message._getType();
+  const record = { type: 'message', role: type, elapsedMs };
+  if (type === 'tool') {
+    const { text, truncated } = truncateOutput(getContentText(message.content));
+    return { ...record, name: message.name, toolCallId: message.tool_call_id, content: text, ...(truncated && { truncated }) };
+  }
+  return {
+    ...record,
+    content: getContentText(message.content),
+    ...(message.tool_calls?.length && { toolCalls: message.tool_calls.map(({ id, name, args }) => ({ id, name, args })) }),
+    ...(message.usage_metadata && { usage: getUsage([message]) }),
+  };
+}
+
+/**
+ * Opens the transcript of an agent run. The transcript is written to "<string id>.jsonl" in the trace directory,
+ * the run of a batch is written once, named after its first string. Records are written synchronously, so the
+ * transcript of a run that crashed is complete up to the failure.
+ *
+ * @param {object} param0
+ * @param {string} param0.traceDir
+ * @param {Array<number | string>} param0.stringIds
+ * @param {Array<object>} param0.tools tools of the agent, saved for the replay
+ * @param {Record<string, string>} param0.variables prompt template variables
+ * @param {object} param0.options
+ */
+function openTrace({ traceDir, stringIds, tools, variables, options }) {
+  fs.mkdirSync(traceDir, { recursive: true });
+  const fd = fs.openSync(path.join(traceDir, getTraceFileName(stringIds[0])), 'w');
+  const startedAt = Date.now();
+  const write = record => fs.writeSync(fd, JSON.stringify(record) + '\n');
+
+  write({
+    type: 'run',
+    stringIds,
+    ai: options.ai,
+    model: options.model,
+    variables,
+    tools: tools.map(item => ({ ...convertToOpenAITool(item).function, returnDirect: !!item.returnDirect })),
+    startedAt: new Date(startedAt).toISOString(),
+  });
+
+  return {
+    /**
+     * @param {Array<object>} messages messages added by an agent step
+     * @param {number} elapsedMs
+     */
+    messages(messages, elapsedMs) {
+      messages.forEach((message, index) => write(toRecord(message, index === 0 ? elapsedMs : 0)));
+    },
+    /**
+     * @param {object} param0
+     * @param {string | null} [param0.output]
+     * @param {object} [param0.usage]
+     * @param {boolean} [param0.aborted]
+     * @param {string} [param0.error]
+     */
+    end({ output = null, usage, aborted = false, error }) {
+      write({ type: 'end', output, usage, aborted, ...(error && { error }), durationMs: Date.now() - startedAt });
+      fs.closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Reads a transcript, a path or a string id looked up in the trace directory (also in the transcripts of batches)
+ *
+ * @param {string} file
+ * @param {string} [traceDir]
+ * @returns {Array<object>}
+ */
+function readTrace(file, traceDir) {
+  let traceFile = file;
+  if (!fs.existsSync(traceFile) && traceDir) {
+    traceFile = path.join(traceDir, getTraceFileName(file));
+    if (!fs.existsSync(traceFile)) {
+      traceFile =
+        fs
+          .readdirSync(traceDir)
+          .filter(name => name.endsWith('.jsonl'))
+          .map(name => path.join(traceDir, name))
+          .find(candidate => readRecords(candidate)[0]?.stringIds?.map(String).includes(file)) || traceFile;
+    }
+  }
+  if (!fs.existsSync(traceFile)) {
+    throw new Error(`Transcript ${file} doesn't exist`);
+  }
+  return readRecords(traceFile);
+}
+
+/**
+ * @param {string} file
+ */
+function readRecords(file) {
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (line.trim().length === 0) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // a partially written last line
+    }
+  }
+  return records;
+}
+
+/**
+ * @param {string} text
+ * @param {boolean} full
+ */
+function indent(text, full) {
+  const lines = text.split('\n');
+  const visible = full ? lines : lines.slice(0, MAX_PRINTED_LINES);
+  if (visible.length < lines.length) {
+    visible.push(chalk.gray(`... ${lines.length - visible.length} more lines (use --full to see all) ...`));
+  }
+  return visible.map(line => `    ${line}`).join('\n');
+}
+
+/**
+ * @param {object} record
+ * @param {boolean} full
+ */
+function printRecord(record, full) {
+  if (record.type === 'run') {
+    console.log(chalk.bold(`Strings ${record.stringIds.join(', ')}`) + chalk.gray(` | ${record.ai} ${record.model} | ${record.startedAt}`));
+    console.log(chalk.gray(`Tools: ${record.tools.map(item => item.name).join(', ')}`));
+  } else if (record.type === 'message') {
+    const timing = record.elapsedMs ? ` ${record.elapsedMs} ms` : '';
+    if (record.role === 'ai') {
+      const tokens = record.usage ? `, ${formatTokens(record.usage.inputTokens)} in / ${formatTokens(record.usage.outputTokens)} out` : '';
+      console.log(chalk.cyan(`\n▶ ai${timing}${tokens}`));
+      if (record.content) console.log(indent(record.content, full));
+      for (const call of record.toolCalls || []) {
+        console.log(chalk.yellow(`  → ${call.name} ${JSON.stringify(call.args)}`));
+      }
+    } else if (record.role === 'tool') {
+      console.log(chalk.green(`\n◀ ${record.name}${timing}${record.truncated ? ' (truncated)' : ''}`));
+      console.log(indent(record.content, full));
+    } else {
+      console.log(chalk.magenta(`\n▶ ${record.role}`));
+      console.log(indent(record.content, full));
+    }
+  } else if (record.type === 'end') {
+    console.log(chalk.bold(`\n■ ${record.aborted ? 'aborted' : 'finished'} in ${record.durationMs} ms`));
+    if (record.usage) {
+      console.log(`  Tokens: ${formatTokens(record.usage.inputTokens)} in / ${formatTokens(record.usage.outputTokens)} out`);
+    }
+    if (record.error) console.log(chalk.red(`  Error: ${record.error}`));
+    console.log(record.output ? `  Output: ${record.output}` : chalk.yellow('  No context returned'));
+  }
+}
+
+/**
+ * Canonical JSON of tool arguments, so equal calls match regardless of the key order
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Tools answering with the outputs recorded in the transcript. A call matches a recorded call of the same tool with
+ * the same arguments, calls the recorded run did not make get the list of the recorded calls instead.
+ * The tools ending the run are the ones of the harvest, so their output is normalized and filtered the same way.
+ *
+ * @param {Array<object>} records
+ */
+function createReplayTools(records) {
+  const run = records[0];
+  const outputs = new Map();
+  const calls = new Map();
+  for (const record of records) {
+    if (record.type === 'message' && record.role === 'ai') {
+      for (const call of record.toolCalls || []) calls.set(call.id, call);
+    } else if (record.type === 'message' && record.role === 'tool' && calls.has(record.toolCallId)) {
+      const call = calls.get(record.toolCallId);
+      outputs.set(`${call.name} ${stableStringify(call.args)}`, record.content);
+    }
+  }
+
+  const stats = { matched: 0, missed: 0 };
+  const returnTools = [returnContextTool, returnContextsTool];
+  const tools = run.tools.map(definition => {
+    const returnTool = returnTools.find(item => item.name === definition.name);
+    if (returnTool) {
+      return returnTool;
+    }
+    return tool(
+      input => {
+        const output = outputs.get(`${definition.name} ${stableStringify(input)}`);
+        if (output !== undefined) {
+          stats.matched++;
+          return output;
+        }
+        stats.missed++;
+        const recorded = [...calls.values()].filter(call => call.name === definition.name).map(call => JSON.stringify(call.args));
+        return `No recorded output for this call in the replayed transcript. Recorded ${definition.name} calls:\n${recorded.join('\n') || '(none)'}`;
+      },
+      {
+        name: definition.name,
+        description: definition.description,
+        schema: definition.parameters || z.object({}),
+        returnDirect: definition.returnDirect,
+      },
+    );
+  });
+  return { tools, stats };
+}
+
+/**
+ * Runs the agent again with the recorded prompt (or a custom prompt rendered with the recorded variables)
+ * and the recorded tool outputs, e.g. to check how another model or prompt handles the same search results
+ *
+ * @param {object} param0
+ * @param {Array<object>} param0.records
+ * @param {object} param0.options
+ */
+async function replayTrace({ records, options }) {
+  const run = records[0];
+  const recorded = records.filter(record => record.type === 'message');
+  const systemPrompt = recorded.find(record => record.role === 'system')?.content ?? '';
+  let userPrompt = recorded.find(record => record.role === 'human')?.content ?? '';
+  if (options.promptFile) {
+    const template = ChatPromptTemplate.fromMessages([['user', getPrompt({ options, defaultPrompt: '' })]]);
+    userPrompt = getContentText((await template.invoke({ ...run.variables, model: options.model })).toChatMessages()[0].content);
+  }
+
+  const { tools, stats } = createReplayTools(records);
+  const agent = createReactAgent({ llm: getChatModel(options), tools });
+  const startedAt = Date.now();
+  printRecord({ ...run, ai: options.ai, model: options.model, startedAt: new Date(startedAt).toISOString() }, options.full);
+
+  const { messages, usage, aborted } = await runAgent({
+    agent,
+    prompt: { messages: [new SystemMessage(systemPrompt), new HumanMessage(userPrompt)] },
+    recursionLimit: 100,
+    // return_contexts only accepts the strings of the recorded batch, like in the harvest
+    configurable: { requestedIds: run.stringIds },
+    onMessages: (newMessages, elapsedMs) =>
+      newMessages.forEach((message, index) => printRecord(toRecord(message, index === 0 ? elapsedMs : 0), options.full)),
+  });
+  const lastMessage = messages[messages.length - 1];
+  const returned = lastMessage?._getType() === 'tool' && run.tools.some(item => item.returnDirect && item.name === lastMessage.name);
+  printRecord({ type: 'end', output: returned ? lastMessage.content : null, usage, aborted, durationMs: Date.now() - startedAt }, true);
+  console.log(chalk.gray(`  Tool calls answered from the transcript: ${stats.matched}, not recorded: ${stats.missed}`));
+  const original = records.find(record => record.type === 'end');
+  if (original) {
+    console.log(original.output ? `  Recorded output: ${original.output}` : chalk.gray('  The recorded run returned no context'));
+  }
+}
+
+// prints or replays a transcript written with --traceDir
+async function trace(file, _options, command) {
+  const options = command.opts();
+  try {
+    const records = readTrace(file, options.traceDir);
+    if (records[0]?.type !== 'run') {
+      throw new Error(`${file} is not a transcript written with --traceDir`);
+    }
+    if (!options.replay) {
+      records.forEach(record => printRecord(record, options.full));
+      return;
+    }
+    // the recorded provider and model, unless the replay is meant to compare another one
+    const replayOptions = { ...options, ai: options.ai || records[0].ai, model: options.model || records[0].model };
+    validateAiProviderFields(replayOptions);
+    await replayTrace({ records, options: replayOptions });
+  } catch (error) {
+    console.error(`error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+export { openTrace, readTrace };
+export default trace;
@@ -1,10 +1,63 @@
 //@ts-check
 import ora from 'ora';
-import { getCrowdin, uploadAiStringsToCrowdin } from './utils.js';
+import chalk from 'chalk';
+import path from 'path';
+import { getCrowdin, getCrowdinFiles, uploadAiStringsToCrowdin } from './utils.js';
+import { parseScreenshotsColumn, uploadScreenshots } from './screenshots.js';
+import { getWorkingDir } from './agent/workspace.js';
 import csv from 'csvtojson';
 
 const spinner = ora();
 
+/**
+ * Strings harvested from local resource files (--sourceFiles) have no Crowdin ID in the CSV, only "<file path>#<key>".
+ * They are matched with the Crowdin strings by the key, and by the file name when several Crowdin files have the key.
+ *
+ * @param {object} param0
+ * @param {object} param0.apiClient
+ * @param {number} param0.project
+ * @param {Array<object>} param0.strings
+ * @returns {Promise<{ strings: Array<object>, unresolved: Array<object> }>}
+ */
+async function resolveLocalStrings({ apiClient, project, strings }) {
+  const isLocal = string => !/^\d+$/.test(String(string.id));
+  if (!strings.some(isLocal)) {
+    return { strings, unresolved: [] };
+  }
+  spinner.start(`Matching the strings of local files with Crowdin strings...`);
+
+  const crowdinStrings = (await apiClient.sourceStringsApi.withFetchAll().listProjectStrings(project)).data.map(string => string.data);
+  let filesById = new Map();
+  try {
+    filesById = new Map((await getCrowdinFiles({ apiClient, project, filesPattern: '' })).map(file => [file.id, file]));
+  } catch {
+    // strings-based projects have no files, the keys must be unique
+  }
+
+  const resolved = [];
+  const unresolved = [];
+  for (const string of strings) {
+    if (!isLocal(string)) {
+      resolved.push(string);
+      continue;
+    }
+    const id = String(string.id);
+    const localFile = id.endsWith(`#${string.key}`) ? id.slice(0, -string.key.length - 1) : '';
+    let candidates = crowdinStrings.filter(candidate => candidate.identifier === string.key);
+    if (candidates.length > 1 && localFile) {
+      candidates = candidates.filter(candidate => path.basename(filesById.get(candidate.fileId)?.path || '') === path.basename(localFile));
+    }
+    if (candidates.length === 1) {
+      // the AI context is appended to the context in Crowdin, not to the comment of the local file
+      resolved.push({ ...string, id: candidates[0].id, ...(string.aiContext && { context: candidates[0].context }) });
+    } else {
+      unresolved.push(string);
+    }
+  }
+  spinner.succeed();
+  return { strings: resolved, unresolved };
+}
+
 async function upload(_name, commandOptions, _command) {
   const options = commandOptions.opts();
 
@@ -20,23 +73,51 @@ async function upload(_name, commandOptions, _command) {
     strings = strings.map(row => {
       return {
         id: row.id,
+        key: row.key,
         context: row.context,
         aiContext: typeof row.aiContext === 'undefined' ? undefined : row.aiContext.split('\n').filter(line => line.trim() !== ''), // remove empty lines, also uploadAiStringsToCrowdin expects array
+        screenshots: parseScreenshotsColumn(row.screenshots),
       };
     });
 
+    const uploadAll = typeof strings[0].aiContext === 'undefined';
+    const { strings: matchedStrings, unresolved } = await resolveLocalStrings({ apiClient, project: options.project, strings });
+    if (unresolved.length > 0) {
+      const ids = unresolved.slice(0, 20).map(string => string.id);
+      console.log(
+        chalk.yellow(`${unresolved.length} strings of local files are not in Crowdin or their key is not unique: ${ids.join(', ')}`),
+      );
+    }
+    strings = matchedStrings;
+
     spinner.start(`Uploading the reviewed context to Crowdin...`);
 
     const updatedCount = await uploadAiStringsToCrowdin({
       apiClient,
       project: options.project,
       strings,
-      uploadAll: typeof strings[0].aiContext === 'undefined',
+      uploadAll,
     });
     spinner.succeed();
 
     console.log(`✨ The reviewed context has been uploaded to Crowdin project.`);
     console.log(`\n${updatedCount} strings updated in Crowdin.`);
+
+    if (options.screenshots) {
+      const stringsWithScreenshots = strings.filter(string => string.screenshots.length > 0);
+      spinner.start(`Uploading screenshots...`);
+      const { uploaded, tagged, missing } = await uploadScreenshots({
+        apiClient,
+        project: options.project,
+        strings: stringsWithScreenshots,
+        workingDir: getWorkingDir(options),
+        onProgress: image => (spinner.text = `Uploading ${chalk.green(image)}...`),
+      });
+      spinner.succeed(`${uploaded} screenshots uploaded and tagged with ${tagged} strings.`);
+      if (missing.length > 0) {
+        console.log(chalk.yellow(`${missing.length} screenshots were not found in ${getWorkingDir(options)}: ${missing.join(', ')}`));
+      }
+    }
   } catch (e) {
     if (e.message.includes('stringNotExists')) {
       console.error("Some strings wasn't found in project. Please check CSV file and remove excessive strings.");
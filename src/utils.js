@@ -4,10 +4,10 @@ import { minimatch } from 'minimatch';
 import chalk from 'chalk';
 import { parse } from 'csv';
 import fs from 'fs';
-import { ChatOpenAI, AzureChatOpenAI } from '@langchain/openai';
-import { ChatAnthropic } from '@langchain/anthropic';
-import { ChatMistralAI } from '@langchain/mistralai';
-import { ChatVertexAI } from '@langchain/google-vertexai';
+import { PROVIDERS, getProvider, getProviderError } from './providers/index.js';
+import { RetryingChatModel } from './providers/retrying-model.js';
+import { createLocalCrowdin } from './local-crowdin.js';
+import { DEFAULT_RETRIES, createRetryingHttpClient } from './retry.js';
 import * as chrono from 'chrono-node';
 
 const AI_CONTEXT_SECTION_START = '✨ AI Context';
@@ -15,12 +15,27 @@ const AI_CONTEXT_SECTION_END = '✨ 🔚';
 
 // returns a Crowdin API client
 // this function looks for the .org property to determine if the client is for crowdin.com or CrowdIn Enterprise
+// with --crowdinSource the client reads and updates a project snapshot in a local directory instead
 async function getCrowdin(options) {
+  if (options.crowdinSource) {
+    try {
+      return createLocalCrowdin(options.crowdinSource);
+    } catch (error) {
+      console.error(`error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   //@ts-ignore
-  const apiClient = new crowdin.default({
-    token: options.token,
-    ...(options.url && { baseUrl: normalizeUrl(options.url) }),
-  });
+  const apiClient = new crowdin.default(
+    {
+      token: options.token,
+      ...(options.url && { baseUrl: normalizeUrl(options.url) }),
+    },
+    // throttled and failed requests are retried with backoff
+    //@ts-ignore
+    { httpClient: createRetryingHttpClient(crowdin.default.AXIOS_INSTANCE, { retries: getRetries(options) }) },
+  );
 
   return apiClient;
 }
@@ -87,6 +102,7 @@ async function getCrowdinFiles({ apiClient, project, filesPattern }) {
     .map(file => ({
       id: file.id,
       path: file.path,
+      type: file.type,
     }));
 }
 
@@ -256,30 +272,9 @@ async function getUserId(apiClient) {
  * @param {object} options
  */
 function validateAiProviderFields(options) {
-  const fieldsToProviderMapping = {
-    openai: ['openAiKey'],
-    'google-vertex': ['googleVertexProject', 'googleVertexLocation', 'googleVertexClientEmail', 'googleVertexPrivateKey'],
-    azure: ['azureResourceName', 'azureApiKey', 'azureDeploymentName'],
-    anthropic: ['anthropicApiKey'],
-    mistral: ['mistralApiKey'],
-  };
-
-  if (!fieldsToProviderMapping[options.ai]) {
-    console.error(`error: --ai parameter contains wrong value. Possible values: ${Object.keys(fieldsToProviderMapping)}`);
-    process.exit(1);
-  }
-
-  let fieldWithError = '';
-  if (
-    fieldsToProviderMapping[options.ai].some(variableName => {
-      if (!options[variableName]) {
-        fieldWithError = variableName;
-        return true;
-      }
-      return false;
-    })
-  ) {
-    console.error(`error: --${fieldWithError} is required when using ${options.ai} as AI provider`);
+  const error = getProviderError(options);
+  if (error) {
+    console.error(`error: ${error}`);
     process.exit(1);
   }
 }
@@ -301,7 +296,8 @@ async function getCrowdinStrings({ options, apiClient, spinner }) {
       }),
     );
     for await (const record of parser) {
-      record.id = +record.id;
+      // strings harvested from local resource files have no Crowdin ID yet
+      record.id = Number.isNaN(+record.id) ? record.id : +record.id;
       record.identifier = record.key;
       records.push(record);
     }
@@ -348,6 +344,18 @@ async function getCrowdinStrings({ options, apiClient, spinner }) {
     process.exit(1);
   }
 
+  // file paths and types of the strings, the localization framework adapters build their search patterns from them
+  /** @type {Map<number, { path: string, type: string }>} */
+  let filesById = new Map();
+  if (!isStringsProject) {
+    try {
+      const files = options.croql ? await getCrowdinFiles({ apiClient, project: options.project, filesPattern: '' }) : containers;
+      filesById = new Map(files.map(file => [file.id, file]));
+    } catch (error) {
+      console.error(`\nError loading Crowdin files: ${error}. Search patterns of the localization frameworks will not be used`);
+    }
+  }
+
   spinner.succeed();
 
   let strings = [];
@@ -364,7 +372,10 @@ async function getCrowdinStrings({ options, apiClient, spinner }) {
         croql: options.croql,
         since: options.since,
       });
-      strings.push(...result.crowdinStrings);
+      for (const string of result.crowdinStrings) {
+        const file = filesById.get(string.fileId);
+        strings.push(file ? { ...string, filePath: file.path, fileType: file.type } : string);
+      }
       spinner.succeed();
     } catch (error) {
       spinner.fail();
@@ -414,62 +425,44 @@ function stringifyString({ string }) {
     text: string.text,
     identifier: string.identifier,
     context: string.context,
+    file: string.filePath,
   };
 
   return JSON.stringify(stringWithoutUselessInfo, null, 2);
 }
 
 /**
- * Creates a chat model based on the user options
+ * @param {object} options
+ */
+function getRetries(options) {
+  const retries = Number(options.maxRetries);
+  return Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES;
+}
+
+/**
+ * Creates a chat model based on the user options, the model calls are retried on rate limits and transient errors
  *
  * @param {object} options
- * @returns {ChatOpenAI | ChatAnthropic | ChatMistralAI | AzureChatOpenAI | ChatVertexAI}
+ * @param {object} [param1]
+ * @param {(error: ReturnType<typeof import('./retry.js').classifyError>, delayMs: number) => void} [param1.onRetry]
+ * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel}
  */
-function getChatModel(options) {
-  const provider = options.ai;
-  const model = options.model;
-  if (provider === 'openai') {
-    const apiKey = options.openAiKey;
-    const baseURL = options.openAiBaseUrl;
-    return new ChatOpenAI({ apiKey, model, configuration: baseURL ? { baseURL } : undefined });
-  }
-  if (provider === 'anthropic') {
-    const apiKey = options.anthropicApiKey;
-    return new ChatAnthropic({ apiKey, model, streaming: true });
-  }
-  if (provider === 'mistral') {
-    const apiKey = options.mistralApiKey;
-    return new ChatMistralAI({ apiKey, model });
-  }
-  if (provider === 'azure') {
-    const azureOpenAIApiKey = options.azureApiKey;
-    const azureOpenAIApiInstanceName = options.azureResourceName;
-    const azureOpenAIApiDeploymentName = options.azureDeploymentName;
-    return new AzureChatOpenAI({
-      azureOpenAIApiKey,
-      azureOpenAIApiInstanceName,
-      azureOpenAIApiDeploymentName,
-      azureOpenAIApiVersion: '2023-05-15',
-    });
+function getChatModel(options, { onRetry } = {}) {
+  const provider = getProvider(options.ai);
+  if (!provider) {
+    throw new Error(`Unsupported ai provider: ${options.ai}. Supported providers: ${PROVIDERS.map(({ name }) => name).join(', ')}`);
   }
-  if (provider === 'google-vertex') {
-    const location = options.googleVertexLocation;
-    const projectId = options.googleVertexProject;
-    const clientEmail = options.googleVertexClientEmail;
-    const privateKey = (options.googleVertexPrivateKey || '').replace(/\\n/g, '\n');
-    return new ChatVertexAI({
-      model,
-      location,
-      authOptions: {
-        projectId,
-        credentials: {
-          client_email: clientEmail,
-          private_key: privateKey,
-        },
-      },
-    });
-  }
-  throw new Error(`Unsupported ai provider: ${provider}. Supported providers: openai, azure, anthropic, mistral, google-vertex`);
+  return new RetryingChatModel({ model: provider.create(options), retries: getRetries(options), onRetry });
+}
+
+/**
+ * Checks whether the model of the AI provider can look at images
+ *
+ * @param {object} options
+ * @returns {boolean}
+ */
+function supportsVision(options) {
+  return Boolean(getProvider(options.ai)?.supportsVision?.(options));
 }
 
 function formatTokens(count) {
@@ -502,9 +495,11 @@ export {
   uploadAiStringsToCrowdin,
   getUserId,
   uploadWithoutAiStringsToCrowdin,
+  appendAiContext,
   AI_CONTEXT_SECTION_END,
   AI_CONTEXT_SECTION_START,
   getChatModel,
+  supportsVision,
   normalizeEnterpriseUrl,
   applyEnvAliases,
   formatTokens,
@@ -0,0 +1,103 @@
+//@ts-check
+import { findFilesContaining, getSearchTerms, isResourceFile } from './search.js';
+
+const NORMALIZATION_RULES = ['escapes', 'placeholders'];
+
+// shortest literal part of a text with placeholders that is still specific enough to search for
+const MIN_LITERAL_LENGTH = 4;
+
+// {name}, {{name}}, {0, plural, ...}, %s, %1$s, %d, %@, ${name}, $t(key), <tag>
+const PLACEHOLDER_PATTERN = /\{\{[^}]*\}\}|\{[^{}]*\}|%(\d+\$)?[-+ #0]*\d*(\.\d+)?[sdifuxXeEgGc@%]|\$\{[^}]*\}|\$t\([^)]*\)|<[^>]+>/g;
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&nbsp;': ' ' };
+
+/**
+ * Returns the variants of the term as it may be written in the code: unescaped, HTML encoded and escaped for string literals
+ *
+ * @param {string} term
+ * @returns {string[]}
+ */
+function getEscapeVariants(term) {
+  const unescaped = term
+    .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\\u([0-9a-fA-F]{4})/g, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/\\n/g, '\n')
+    .replace(/\\t/g, '\t')
+    .replace(/\\(["'\\])/g, '$1');
+  const escaped = unescaped.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+
+  const htmlEncoded = unescaped.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  return [unescaped, htmlEncoded, escaped, escaped.replace(/"/g, '\\"'), escaped.replace(/'/g, "\\'")];
+}
+
+/**
+ * Returns the longest literal part of the text between placeholders
+ *
+ * @param {string} text
+ * @returns {string | null}
+ */
+function getLongestLiteral(text) {
+  const literal = text
+    .split(PLACEHOLDER_PATTERN)
+    .filter(part => typeof part === 'string')
+    .map(part => part.trim())
+    .sort((a, b) => b.length - a.length)[0];
+  return literal && literal.length >= MIN_LITERAL_LENGTH && literal !== text.trim() ? literal : null;
+}
+
+/**
+ * Returns all terms to look for in the code, after applying the normalization rules
+ *
+ * @param {object} string
+ * @param {string[]} rules
+ * @returns {string[]}
+ */
+function getVerificationTerms(string, rules) {
+  const terms = new Set();
+  for (const term of getSearchTerms(string)) {
+    const variants = rules.includes('escapes') ? getEscapeVariants(term) : [term];
+    for (const variant of [term, ...variants]) {
+      terms.add(variant);
+      const literal = rules.includes('placeholders') ? getLongestLiteral(variant) : null;
+      if (literal) {
+        terms.add(literal);
+      }
+    }
+  }
+  // multi-line terms can't be searched line by line
+  return [...terms].filter(term => term.length > 0 && !term.includes('\n'));
+}
+
+/**
+ * Confirms that the string's key or text appears in the working tree, outside of the localization files
+ *
+ * @param {object} param0
+ * @param {object} param0.string
+ * @param {string} param0.cwd
+ * @param {string[]} param0.rules normalization rules applied to the key and text
+ * @returns {boolean}
+ */
+function verifyStringInCode({ string, cwd, rules }) {
+  return getVerificationTerms(string, rules).some(term => findFilesContaining({ term, cwd }).some(file => !isResourceFile(file, string)));
+}
+
+/**
+ * Parses a comma separated list of normalization rules
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseNormalizationRules(value) {
+  const rules = String(value)
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(rule => rule.length > 0 && rule !== 'none');
+  const unknown = rules.filter(rule => !NORMALIZATION_RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`unknown normalization rules: ${unknown.join(', ')}. Possible values: ${NORMALIZATION_RULES.join(', ')}, none`);
+  }
+  return rules;
+}
+
+export { NORMALIZATION_RULES, getVerificationTerms, verifyStringInCode, parseNormalizationRules };
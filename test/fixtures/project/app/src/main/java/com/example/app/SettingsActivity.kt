@@ -0,0 +1,13 @@
+package com.example.app
+
+import android.os.Bundle
+import androidx.appcompat.app.AppCompatActivity
+
+class SettingsActivity : AppCompatActivity() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContentView(R.layout.activity_settings)
+        title = getString(R.string.settings_title)
+        findViewById<Button>(R.id.sign_out).text = getString(R.string.sign_out)
+    }
+}
@@ -0,0 +1,65 @@
+//@ts-check
+// Checks that the git tool of the agent doesn't show files excluded by the ignore rules
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runGit } from '../src/git.js';
+import { gitTool } from '../src/agent/tools/git.js';
+
+const SECRET = 'API_KEY=do-not-show-this-value';
+
+/**
+ * @param {string} name
+ * @param {() => Promise<void> | void} check
+ */
+async function step(name, check) {
+  await check();
+  console.log(`✔ ${name}`);
+}
+
+async function main() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'context-harvester-git-'));
+  const config = { configurable: { root } };
+  /** @param {object} input */
+  const invoke = async input => String(await gitTool.invoke({ action: 'show', commit: 'HEAD', ...input }, config));
+
+  try {
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.mkdirSync(path.join(root, 'dist'));
+    fs.writeFileSync(path.join(root, '.harvesterignore'), '*.local\n');
+    fs.writeFileSync(path.join(root, 'src', 'keys.local'), `${SECRET}\n`);
+    fs.writeFileSync(path.join(root, 'dist', 'bundle.js'), `// ${SECRET}\n`);
+    fs.writeFileSync(path.join(root, 'src', 'app.js'), "t('settings.title');\n");
+    runGit(['init', '--quiet'], root);
+    runGit(['add', '--all', '--force'], root);
+    runGit(['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-m', 'Add the settings screen'], root);
+
+    await step('show lists only the visible files of a commit', async () => {
+      const output = await invoke({});
+      assert.match(output, /Add the settings screen/);
+      assert.match(output, /src\/app\.js/);
+      assert.doesNotMatch(output, /keys\.local|bundle\.js/);
+    });
+
+    await step('show of a directory leaves out the ignored files in it', async () => {
+      for (const directory of ['.', 'src']) {
+        const output = await invoke({ path: directory });
+        assert.match(output, /settings\.title/);
+        assert.doesNotMatch(output, /do-not-show-this-value|keys\.local|bundle\.js/);
+      }
+    });
+
+    await step('show refuses an ignored file and a revision naming a blob', async () => {
+      assert.match(await invoke({ path: 'src/keys.local' }), /Access denied/);
+      assert.match(await invoke({ commit: 'HEAD:src/keys.local' }), /Invalid commit/);
+    });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+//@ts-check
+// Runs harvest, export, describe, upload and reset on the fixture project with the mock AI provider and a local Crowdin
+// snapshot (--crowdinSource), no AI service or Crowdin project needed
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import csv from 'csvtojson';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.resolve(__dirname, '..', 'cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const RESOURCE_FILE = 'app/src/main/res/values/strings.xml';
+const MOCK_FIXTURE = path.join(FIXTURES, 'responses.json');
+const TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Runs the CLI in the directory
+ *
+ * @param {string[]} args
+ * @param {string} cwd
+ */
+function runCli(args, cwd) {
+  const proc = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    encoding: 'utf8',
+    timeout: TIMEOUT_MS,
+    env: { ...process.env, CI: '1' },
+  });
+  return { status: proc.status, output: `${proc.stdout}${proc.stderr}` };
+}
+
+/**
+ * @param {string[]} args
+ * @param {string} cwd
+ */
+function runCliOrFail(args, cwd) {
+  const { status, output } = runCli(args, cwd);
+  assert.equal(status, 0, `crowdin-context-harvester ${args.join(' ')} failed:\n${output}`);
+  return output;
+}
+
+/**
+ * Contexts of the strings in the Crowdin snapshot by key
+ *
+ * @param {string} crowdinDir
+ * @returns {Record<string, string>}
+ */
+function readCrowdinContexts(crowdinDir) {
+  const strings = JSON.parse(fs.readFileSync(path.join(crowdinDir, 'strings.json'), 'utf8'));
+  return Object.fromEntries(strings.map(string => [string.identifier, string.context]));
+}
+
+/**
+ * @param {string} name
+ * @param {() => Promise<void> | void} check
+ */
+async function step(name, check) {
+  await check();
+  console.log(`✔ ${name}`);
+}
+
+async function main() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-harvester-'));
+  const projectDir = path.join(tmpDir, 'project');
+  const csvFile = path.join(tmpDir, 'crowdin-context.csv');
+  const resourcePath = path.join(projectDir, RESOURCE_FILE);
+  const crowdinDir = path.join(tmpDir, 'crowdin');
+  fs.cpSync(path.join(FIXTURES, 'project'), projectDir, { recursive: true });
+  // every Crowdin step starts from the snapshot of the fixture
+  const resetSnapshot = () => fs.cpSync(path.join(FIXTURES, 'crowdin'), crowdinDir, { recursive: true });
+  const harvestToCrowdin = (...args) =>
+    runCliOrFail(
+      [
+        'harvest',
+        `--crowdinSource=${crowdinDir}`,
+        `--root=${projectDir}`,
+        '--ai=mock',
+        `--mockFixture=${MOCK_FIXTURE}`,
+        '--output=crowdin',
+        ...args,
+      ],
+      tmpDir,
+    );
+
+  try {
+    await step('harvest writes the contexts of the strings used in the code to the CSV file', async () => {
+      runCliOrFail(
+        [
+          'harvest',
+          `--root=${projectDir}`,
+          `--sourceFiles=${RESOURCE_FILE}`,
+          '--ai=mock',
+          `--mockFixture=${MOCK_FIXTURE}`,
+          '--output=csv',
+          `--csvFile=${csvFile}`,
+        ],
+        tmpDir,
+      );
+      const rows = await csv().fromFile(csvFile);
+      assert.deepEqual(rows.map(row => row.key).sort(), ['settings_title', 'sign_out']);
+      const title = rows.find(row => row.key === 'settings_title');
+      assert.equal(title.id, `${RESOURCE_FILE}#settings_title`);
+      assert.match(title.aiContext, /Title of the app bar on the settings screen/);
+      assert.equal(title.elementType, 'title');
+    });
+
+    await step('export writes the contexts to the comments of the Android resources', () => {
+      const output = runCliOrFail(['export', `--csvFile=${csvFile}`, `--sourceFiles=${RESOURCE_FILE}`, `--root=${projectDir}`], tmpDir);
+      assert.match(output, /2 strings updated in 1 files/);
+      const content = fs.readFileSync(resourcePath, 'utf8');
+      // the comment of the developers is kept, the AI context is added below it
+      assert.match(content, /<!-- Title of the settings screen\n\n✨ AI Context\nTitle of the app bar on the settings screen/);
+      assert.match(
+        content,
+        /<!-- ✨ AI Context\nButton on the settings screen that signs the user out\nUI element: button\n[^>]*✨ 🔚 -->\n {4}<string name="sign_out">/,
+      );
+      assert.match(content, /<\/string>\n {4}<string name="unused_banner">/);
+    });
+
+    await step('exporting again leaves the files as they are', () => {
+      const before = fs.readFileSync(resourcePath, 'utf8');
+      const output = runCliOrFail(['export', `--csvFile=${csvFile}`, `--sourceFiles=${RESOURCE_FILE}`, `--root=${projectDir}`], tmpDir);
+      assert.match(output, /0 strings updated in 0 files/);
+      assert.equal(fs.readFileSync(resourcePath, 'utf8'), before);
+    });
+
+    await step('harvest writes the contexts to the strings of the Crowdin snapshot', () => {
+      resetSnapshot();
+      const output = harvestToCrowdin();
+      assert.match(output, /2 strings updated in Crowdin/);
+      const contexts = readCrowdinContexts(crowdinDir);
+      // the context of the developers is kept, the AI context is added below it
+      assert.match(contexts.settings_title, /^Title of the settings screen\n\n✨ AI Context\nTitle of the app bar on the settings screen/);
+      assert.match(contexts.sign_out, /^\n\n✨ AI Context\nButton on the settings screen that signs the user out\n[^]*✨ 🔚$/);
+      assert.equal(contexts.unused_banner, '');
+    });
+
+    await step('harvest in batches writes the contexts to the strings of the Crowdin snapshot', () => {
+      resetSnapshot();
+      const output = harvestToCrowdin('--batchSize=2');
+      assert.match(output, /2 strings updated in Crowdin/);
+      const contexts = readCrowdinContexts(crowdinDir);
+      assert.match(contexts.settings_title, /✨ AI Context\nTitle of the app bar on the settings screen/);
+      assert.match(contexts.sign_out, /✨ AI Context\nButton on the settings screen that signs the user out/);
+      assert.equal(contexts.unused_banner, '');
+    });
+
+    await step('reset removes the AI context from the strings of the Crowdin snapshot', () => {
+      runCliOrFail(['reset', `--crowdinSource=${crowdinDir}`], tmpDir);
+      assert.deepEqual(readCrowdinContexts(crowdinDir), {
+        settings_title: 'Title of the settings screen',
+        sign_out: '',
+        unused_banner: '',
+      });
+    });
+
+    await step('upload matches the strings of the local files with the Crowdin snapshot by key', () => {
+      resetSnapshot();
+      const output = runCliOrFail(['upload', `--crowdinSource=${crowdinDir}`, `--csvFile=${csvFile}`], tmpDir);
+      assert.match(output, /2 strings updated in Crowdin/);
+      const contexts = readCrowdinContexts(crowdinDir);
+      assert.match(contexts.settings_title, /^Title of the settings screen\n\n✨ AI Context\nTitle of the app bar on the settings screen/);
+      assert.match(contexts.sign_out, /^\n\n✨ AI Context\nButton on the settings screen that signs the user out/);
+      assert.equal(contexts.unused_banner, '');
+    });
+
+    await step('describe writes the project description to the Crowdin snapshot', () => {
+      resetSnapshot();
+      runCliOrFail(
+        [
+          'describe',
+          `--crowdinSource=${crowdinDir}`,
+          `--root=${projectDir}`,
+          '--ai=mock',
+          `--mockFixture=${MOCK_FIXTURE}`,
+          '--output=crowdin',
+        ],
+        tmpDir,
+      );
+      const project = JSON.parse(fs.readFileSync(path.join(crowdinDir, 'project.json'), 'utf8'));
+      assert.equal(project.description, 'A demo Android app with a settings screen where the user can sign out.');
+    });
+
+    await step('a missing mock fixture fails before the harvest', () => {
+      const { status, output } = runCli(
+        ['harvest', `--root=${projectDir}`, `--sourceFiles=${RESOURCE_FILE}`, '--ai=mock', '--mockFixture=missing.json'],
+        tmpDir,
+      );
+      assert.equal(status, 1);
+      assert.match(output, /Error reading mock fixture missing\.json/);
+    });
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});